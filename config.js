@@ -0,0 +1,140 @@
+// Application settings, read from environment variables and an optional .env file.
+// Invalid values are collected and reported together when the module is loaded.
+const crypto = require("crypto");
+const path = require("path");
+
+require("dotenv").config({ path: path.join(__dirname, ".env"), quiet: true });
+
+const env = process.env;
+const problems = [];
+
+const string = (name, fallback) => env[name] || fallback;
+
+const number = (name, fallback) => {
+  if (env[name] === undefined || env[name] === "") {
+    return fallback;
+  }
+  const value = Number(env[name]);
+  if (!Number.isFinite(value) || value <= 0) {
+    problems.push(`${name} must be a positive number, got "${env[name]}".`);
+  }
+  return value;
+};
+
+const boolean = (name, fallback) => {
+  if (env[name] === undefined || env[name] === "") {
+    return fallback;
+  }
+  if (env[name] !== "true" && env[name] !== "false") {
+    problems.push(`${name} must be "true" or "false", got "${env[name]}".`);
+  }
+  return env[name] === "true";
+};
+
+const oneOf = (name, values, fallback) => {
+  const value = string(name, fallback);
+  if (!values.includes(value)) {
+    problems.push(`${name} must be one of ${values.join(", ")}, got "${value}".`);
+  }
+  return value;
+};
+
+const nodeEnv = oneOf("NODE_ENV", ["development", "test", "production"], "development");
+
+if (nodeEnv === "production") {
+  ["MONGODB_URI", "JWT_SECRET", "APP_URL"].forEach((name) => {
+    if (!env[name]) {
+      problems.push(`${name} must be set in production.`);
+    }
+  });
+}
+
+const config = {
+  env: nodeEnv,
+  port: number("PORT", 8080),
+  appUrl: string("APP_URL", "http://localhost:8080"),
+  // Base URL of the web frontend: posts are shown under `/posts/{id}`, the links in emails
+  // open `/verify-email` and `/reset-password`.
+  frontendUrl: string("FRONTEND_URL", "http://localhost:3000"),
+  mongodbUri: string("MONGODB_URI", "mongodb://127.0.0.1:27017/assignment"),
+  jwt: {
+    // Without JWT_SECRET (only allowed outside production) every start signs with a new
+    // random secret, so access tokens stop working when the process restarts.
+    secret: string("JWT_SECRET", crypto.randomBytes(32).toString("hex")),
+    accessExpiresIn: string("JWT_ACCESS_EXPIRES_IN", "15m"),
+    refreshExpiresInDays: number("JWT_REFRESH_EXPIRES_IN_DAYS", 30),
+  },
+  auth: {
+    requireEmailVerification: boolean("REQUIRE_EMAIL_VERIFICATION", true),
+    verificationTokenTtlMinutes: number("VERIFICATION_TOKEN_TTL_MINUTES", 48 * 60),
+    passwordResetTokenTtlMinutes: number("PASSWORD_RESET_TOKEN_TTL_MINUTES", 60),
+    maxFailedLogins: number("MAX_FAILED_LOGINS", 5),
+    lockoutMinutes: number("LOCKOUT_MINUTES", 15),
+  },
+  scheduler: {
+    enabled: boolean("SCHEDULER_ENABLED", true),
+    intervalMs: number("SCHEDULER_INTERVAL_MS", 60 * 1000),
+  },
+  webhooks: {
+    timeoutMs: number("WEBHOOK_TIMEOUT_MS", 5000),
+    maxAttempts: number("WEBHOOK_MAX_ATTEMPTS", 6),
+    // Retries wait 1, 2, 4, ... times this long.
+    retryBaseMs: number("WEBHOOK_RETRY_BASE_MS", 60 * 1000),
+  },
+  trash: {
+    retentionDays: number("TRASH_RETENTION_DAYS", 30),
+  },
+  feed: {
+    trendingWindowDays: number("TRENDING_WINDOW_DAYS", 7),
+    // RSS and Atom feeds.
+    title: string("FEED_TITLE", "Blog"),
+    syndicationSize: number("FEED_SYNDICATION_SIZE", 20),
+  },
+  storage: {
+    backend: oneOf("STORAGE_BACKEND", ["local"], "local"),
+    directory: string("UPLOAD_DIR", "uploads"),
+    publicPath: "/uploads",
+  },
+  uploads: {
+    maxFileSizeMb: number("UPLOAD_MAX_FILE_SIZE_MB", 5),
+    maxAttachments: number("UPLOAD_MAX_ATTACHMENTS", 10),
+    allowedTypes: string(
+      "UPLOAD_ALLOWED_TYPES",
+      "image/jpeg,image/png,image/gif,image/webp,application/pdf"
+    ).split(","),
+    thumbnailWidth: number("UPLOAD_THUMBNAIL_WIDTH", 320),
+  },
+  rateLimit: {
+    enabled: boolean("RATE_LIMIT_ENABLED", true),
+    store: oneOf("RATE_LIMIT_STORE", ["memory"], "memory"),
+    login: {
+      windowMs: number("RATE_LIMIT_LOGIN_WINDOW_MS", 15 * 60 * 1000),
+      maxPerIp: number("RATE_LIMIT_LOGIN_MAX_PER_IP", 20),
+      maxPerAccount: number("RATE_LIMIT_LOGIN_MAX_PER_ACCOUNT", 5),
+    },
+    register: {
+      windowMs: number("RATE_LIMIT_REGISTER_WINDOW_MS", 60 * 60 * 1000),
+      maxPerIp: number("RATE_LIMIT_REGISTER_MAX_PER_IP", 10),
+    },
+    // Shared by the endpoints that send mail: resend-verification and forgot-password.
+    mail: {
+      windowMs: number("RATE_LIMIT_MAIL_WINDOW_MS", 60 * 60 * 1000),
+      maxPerIp: number("RATE_LIMIT_MAIL_MAX_PER_IP", 5),
+    },
+    feedWrite: {
+      windowMs: number("RATE_LIMIT_FEED_WRITE_WINDOW_MS", 60 * 1000),
+      max: number("RATE_LIMIT_FEED_WRITE_MAX", 30),
+    },
+  },
+  mail: {
+    transport: oneOf("MAIL_TRANSPORT", ["console", "file"], "console"),
+    from: string("MAIL_FROM", "Blog API <no-reply@localhost>"),
+    directory: string("MAIL_DIR", "mail"),
+  },
+};
+
+if (problems.length > 0) {
+  throw new Error(`Invalid configuration:\n  - ${problems.join("\n  - ")}`);
+}
+
+module.exports = config;
@@ -1,25 +1,88 @@
-const { validationResult } = require("express-validator");
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
 
+const config = require("../config");
 const User = require("../models/user");
+const Session = require("../models/session");
+const UserToken = require("../models/user-token");
+const mailer = require("../services/mailer");
+const tokens = require("../util/tokens");
+const {
+  BadRequestError,
+  ForbiddenError,
+  TooManyRequestsError,
+  UnauthorizedError,
+} = require("../util/errors");
+const { assertValid } = require("../util/validation");
 
-exports.register = async (req, res, next) => {
-  const errors = validationResult(req);
+const invalidCredentials = () =>
+  new UnauthorizedError(
+    "Invalid email or password.",
+    undefined,
+    "INVALID_CREDENTIALS"
+  );
+
+const invalidRefreshToken = () =>
+  new UnauthorizedError(
+    "Invalid refresh token.",
+    undefined,
+    "INVALID_REFRESH_TOKEN"
+  );
 
-  if (!errors.isEmpty()) {
-    const error = new Error("Validation failed.");
-    error.statusCode = 422;
-    error.data = errors.array();
-    throw error;
+// Same response as the rate limiter, so a locked account looks like any other throttled login.
+const tooManyAttempts = () => new TooManyRequestsError();
+
+// Compared against when the email is unknown, so both failures take about as long.
+let dummyHash;
+const getDummyHash = async () => {
+  if (!dummyHash) {
+    dummyHash = await bcrypt.hash("not-a-real-password", 12);
+  }
+  return dummyHash;
+};
+
+const recordFailedLogin = async (user) => {
+  user.failedLoginAttempts += 1;
+  if (user.failedLoginAttempts >= config.auth.maxFailedLogins) {
+    user.lockUntil = new Date(
+      Date.now() + config.auth.lockoutMinutes * 60 * 1000
+    );
+    user.failedLoginAttempts = 0;
   }
+  await user.save();
+};
+
+const sendVerification = async (user) => {
+  const token = await UserToken.issue(
+    user._id,
+    "email-verification",
+    config.auth.verificationTokenTtlMinutes
+  );
+  await mailer.sendVerificationMail(user, token);
+};
+
+const issueTokens = async (user, session) => {
+  const refreshToken = tokens.generateRefreshToken(session);
+  session.refreshTokenHash = tokens.hashToken(refreshToken);
+  session.expiresAt = tokens.refreshExpiryDate();
+  session.lastUsedAt = new Date();
+  await session.save();
+
+  return {
+    token: tokens.signAccessToken(user, session),
+    refreshToken: refreshToken,
+    userId: user._id.toString(),
+  };
+};
 
+exports.register = async (req, res, next) => {
   const email = req.body.email;
   const password = req.body.password;
   const firstName = req.body.firstName;
   const lastName = req.body.lastName;
 
   try {
+    assertValid(req);
     const hashedPw = await bcrypt.hash(password, 12);
 
     const user = new User({
@@ -27,17 +90,17 @@ exports.register = async (req, res, next) => {
       password: hashedPw,
       firstName: firstName,
       lastName: lastName,
+      emailVerified: false,
     });
 
     const result = await user.save();
+    await sendVerification(result);
 
-    res
-      .status(201)
-      .json({ message: "A user was created.", userId: result._id });
+    res.status(201).json({
+      message: "A user was created. Check your email to verify the address.",
+      userId: result._id,
+    });
   } catch (err) {
-    if (!err.statusCode) {
-      err.statusCode = 500;
-    }
     next(err);
   }
 };
@@ -47,34 +110,208 @@ exports.login = async (req, res, next) => {
   const password = req.body.password;
 
   try {
+    assertValid(req);
+
     const user = await User.findOne({ email: email });
     if (!user) {
-      const error = new Error("A user with this email could not be found");
-      error.statusCode = 401;
-      throw error;
+      await bcrypt.compare(String(password), await getDummyHash());
+      throw invalidCredentials();
     }
-    loadedUser = user;
-    const isEqual = await bcrypt.compare(password, user.password);
+
+    if (user.isLocked()) {
+      throw tooManyAttempts();
+    }
+
+    const isEqual = await bcrypt.compare(String(password), user.password);
 
     if (!isEqual) {
-      const error = new Error("Wrong password");
-      error.statusCode = 401;
-      throw error;
+      await recordFailedLogin(user);
+      throw invalidCredentials();
+    }
+
+    if (user.failedLoginAttempts || user.lockUntil) {
+      user.failedLoginAttempts = 0;
+      user.lockUntil = undefined;
+      await user.save();
+    }
+
+    if (user.isBlocked()) {
+      throw user.blockedError();
+    }
+
+    if (config.auth.requireEmailVerification && user.emailVerified === false) {
+      throw new ForbiddenError(
+        "Please verify your email address first.",
+        undefined,
+        "EMAIL_NOT_VERIFIED"
+      );
     }
 
-    const token = jwt.sign(
-      {
-        email: loadedUser.email,
-        userId: loadedUser._id.toString(),
-      },
-      "someSuperSecretiveSecret",
-      { expiresIn: "1h" }
+    const session = new Session({
+      user: user._id,
+      device: req.body.device || req.get("User-Agent") || "unknown",
+    });
+
+    res.status(200).json(await issueTokens(user, session));
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.refresh = async (req, res, next) => {
+  const refreshToken = req.body.refreshToken;
+
+  try {
+    const sessionId = tokens.parseRefreshToken(refreshToken);
+    const session =
+      sessionId && mongoose.isValidObjectId(sessionId)
+        ? await Session.findById(sessionId)
+        : null;
+
+    if (!session || !session.isActive()) {
+      throw invalidRefreshToken();
+    }
+
+    if (session.refreshTokenHash !== tokens.hashToken(refreshToken)) {
+      // A rotated-out token was replayed: assume it leaked and kill the whole session.
+      session.revokedAt = new Date();
+      session.revokedReason = "reuse";
+      await session.save();
+
+      throw invalidRefreshToken();
+    }
+
+    const user = await User.findById(session.user);
+    if (!user) {
+      throw invalidRefreshToken();
+    }
+    if (user.isBlocked()) {
+      throw user.blockedError();
+    }
+
+    session.generation += 1;
+
+    res.status(200).json(await issueTokens(user, session));
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.logout = async (req, res, next) => {
+  try {
+    await Session.updateOne(
+      { _id: req.sessionId, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: "logout" }
     );
-    res.status(200).json({ token: token, userId: loadedUser._id.toString() });
+
+    res.status(200).json({ message: "Logged out." });
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.logoutAll = async (req, res, next) => {
+  try {
+    const result = await Session.updateMany(
+      { user: req.userId, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: "logout-all" }
+    );
+
+    res.status(200).json({
+      message: "Logged out from all devices.",
+      revokedSessions: result.modifiedCount,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.verifyEmail = async (req, res, next) => {
+  try {
+    const userToken = await UserToken.consume(
+      req.body.token,
+      "email-verification"
+    );
+    if (!userToken) {
+      throw new BadRequestError(
+        "Invalid or expired verification token.",
+        undefined,
+        "INVALID_TOKEN"
+      );
+    }
+
+    await User.updateOne({ _id: userToken.user }, { emailVerified: true });
+
+    res.status(200).json({ message: "Email address verified." });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// The email endpoints answer the same way whether or not the address is known,
+// so they cannot be used to find out who has an account.
+exports.resendVerification = async (req, res, next) => {
+  try {
+    assertValid(req);
+    const user = await User.findOne({ email: req.body.email });
+    if (user && user.emailVerified === false) {
+      await sendVerification(user);
+    }
+
+    res.status(200).json({
+      message: "If the address needs verification, a new email has been sent.",
+    });
   } catch (err) {
-    if (!err.statusCode) {
-      err.statusCode = 500;
+    next(err);
+  }
+};
+
+exports.forgotPassword = async (req, res, next) => {
+  try {
+    assertValid(req);
+    const user = await User.findOne({ email: req.body.email });
+    if (user) {
+      const token = await UserToken.issue(
+        user._id,
+        "password-reset",
+        config.auth.passwordResetTokenTtlMinutes
+      );
+      await mailer.sendPasswordResetMail(user, token);
     }
+
+    res.status(200).json({
+      message: "If an account exists for this address, a reset email has been sent.",
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.resetPassword = async (req, res, next) => {
+  try {
+    assertValid(req);
+    const userToken = await UserToken.consume(req.body.token, "password-reset");
+    const user = userToken && (await User.findById(userToken.user));
+    if (!user) {
+      throw new BadRequestError(
+        "Invalid or expired reset token.",
+        undefined,
+        "INVALID_TOKEN"
+      );
+    }
+
+    user.password = await bcrypt.hash(req.body.password, 12);
+    // Receiving the reset mail proves the address belongs to the user.
+    user.emailVerified = true;
+    await user.save();
+
+    await Session.updateMany(
+      { user: user._id, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: "password-reset" }
+    );
+
+    res.status(200).json({ message: "Password has been reset." });
+  } catch (err) {
     next(err);
   }
 };
@@ -0,0 +1,121 @@
+const Category = require("../models/category");
+const Post = require("../models/post");
+const { assertValid } = require("../util/validation");
+const { ConflictError, NotFoundError, ValidationError } = require("../util/errors");
+
+const serializeCategory = (category, postCount) => ({
+  _id: category._id,
+  name: category.name,
+  slug: category.slug,
+  description: category.description,
+  postCount: postCount,
+});
+
+// Saves `category`, turning a taken slug into a 409.
+const saveCategory = async (category) => {
+  const slug = Category.slugify(category.name);
+  if (!slug) {
+    throw new ValidationError("The name must contain letters or digits.");
+  }
+  category.slug = slug;
+
+  const existing = await Category.findOne({ slug: slug });
+  if (existing && !existing._id.equals(category._id)) {
+    throw new ConflictError(`A category "${existing.name}" already exists.`);
+  }
+  return category.save();
+};
+
+// Lists all categories by name, with the number of published posts in each.
+exports.getCategories = async (req, res, next) => {
+  try {
+    const [categories, counts] = await Promise.all([
+      Category.find().sort({ name: 1 }),
+      Post.aggregate([
+        { $match: { allowed: true, category: { $ne: null } } },
+        { $group: { _id: "$category", count: { $sum: 1 } } },
+      ]),
+    ]);
+
+    res.status(200).json({
+      message: "Fetched categories successfully!",
+      categories: categories.map((category) => {
+        const count = counts.find((c) => c._id.equals(category._id));
+        return serializeCategory(category, count ? count.count : 0);
+      }),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.createCategory = async (req, res, next) => {
+  try {
+    assertValid(req);
+    const category = await saveCategory(
+      new Category({
+        name: req.body.name,
+        description: req.body.description,
+      })
+    );
+
+    res.status(201).json({
+      message: "Category created.",
+      category: serializeCategory(category, 0),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.updateCategory = async (req, res, next) => {
+  try {
+    assertValid(req);
+    const category = await Category.findById(req.params.categoryId);
+    if (!category) {
+      throw new NotFoundError("Could not find category.");
+    }
+
+    if (req.body.name !== undefined) {
+      category.name = req.body.name;
+    }
+    if (req.body.description !== undefined) {
+      category.description = req.body.description;
+    }
+    await saveCategory(category);
+
+    res.status(200).json({
+      message: "Category updated.",
+      category: serializeCategory(
+        category,
+        await Post.countDocuments({ allowed: true, category: category._id })
+      ),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Posts of a deleted category stay, they just lose their category.
+exports.deleteCategory = async (req, res, next) => {
+  try {
+    const category = await Category.findById(req.params.categoryId);
+    if (!category) {
+      throw new NotFoundError("Could not find category.");
+    }
+
+    const result = await Post.updateMany(
+      { category: category._id },
+      { $unset: { category: "" } }
+    );
+    await Category.deleteOne({ _id: category._id });
+
+    res.status(200).json({
+      message: "Category deleted.",
+      categoryId: category._id,
+      uncategorizedPosts: result.modifiedCount,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,135 @@
+const Comment = require("../models/comment");
+const permissions = require("../util/permissions");
+const { loadVisiblePost } = require("../util/visibility");
+const { ForbiddenError, NotFoundError } = require("../util/errors");
+const { paginate, parsePagination } = require("../util/pagination");
+const { assertValid } = require("../util/validation");
+
+const loadComment = async (postId, commentId) => {
+  const comment = await Comment.findOne({ _id: commentId, post: postId });
+  if (!comment) {
+    throw new NotFoundError("Could not find comment.");
+  }
+  return comment;
+};
+
+exports.getComments = async (req, res, next) => {
+  const postId = req.params.postId;
+  const parentId = req.query.parent || null;
+
+  try {
+    assertValid(req);
+    await loadVisiblePost(postId, req.userId);
+
+    const { items: comments, pageInfo } = await paginate(
+      Comment,
+      { post: postId, parent: parentId },
+      { createdAt: 1, _id: 1 },
+      parsePagination(req.query, 10, 50),
+      (query) => query.populate("author", "firstName lastName")
+    );
+
+    const replyCounts = await Comment.aggregate([
+      { $match: { parent: { $in: comments.map((comment) => comment._id) } } },
+      { $group: { _id: "$parent", count: { $sum: 1 } } },
+    ]);
+
+    res.status(200).json({
+      message: "Fetched comments successfully!",
+      comments: comments.map((comment) => {
+        const replies = replyCounts.find((r) => r._id.equals(comment._id));
+        return { ...comment.toJSON(), replyCount: replies ? replies.count : 0 };
+      }),
+      totalItems: pageInfo.totalItems,
+      pageInfo: pageInfo,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.createComment = async (req, res, next) => {
+  const postId = req.params.postId;
+  const parentId = req.params.commentId;
+
+  try {
+    assertValid(req);
+    const { post } = await loadVisiblePost(postId, req.userId);
+
+    let ancestors = [];
+    if (parentId) {
+      const parent = await loadComment(postId, parentId);
+      ancestors = [...parent.ancestors, parent._id];
+    }
+
+    const comment = new Comment({
+      content: req.body.content,
+      post: post._id,
+      author: req.userId,
+      parent: parentId || null,
+      ancestors: ancestors,
+    });
+    await comment.save();
+
+    res.status(201).json({
+      message: "Comment created successfully!",
+      comment: comment,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.updateComment = async (req, res, next) => {
+  const postId = req.params.postId;
+  const commentId = req.params.commentId;
+
+  try {
+    assertValid(req);
+    await loadVisiblePost(postId, req.userId);
+    const comment = await loadComment(postId, commentId);
+
+    if (comment.author.toString() !== req.userId) {
+      throw new ForbiddenError();
+    }
+
+    comment.content = req.body.content;
+    comment.edited = true;
+    const result = await comment.save();
+
+    res.status(200).json({ message: "Comment updated!", comment: result });
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.deleteComment = async (req, res, next) => {
+  const postId = req.params.postId;
+  const commentId = req.params.commentId;
+
+  try {
+    const { post, user } = await loadVisiblePost(postId, req.userId);
+    const comment = await loadComment(postId, commentId);
+
+    // Comment authors can delete their own comments, post authors and admins moderate the whole thread.
+    const canDelete =
+      comment.author.toString() === req.userId ||
+      post.author.toString() === req.userId ||
+      permissions.can(user.role, "comment:moderate");
+
+    if (!canDelete) {
+      throw new ForbiddenError();
+    }
+
+    const result = await Comment.deleteMany({
+      $or: [{ _id: comment._id }, { ancestors: comment._id }],
+    });
+
+    res.status(200).json({
+      message: "Comment deleted!",
+      deletedCount: result.deletedCount,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
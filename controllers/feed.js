@@ -1,123 +1,458 @@
-const { validationResult } = require("express-validator");
+const mongoose = require("mongoose");
 
+const config = require("../config");
 const Post = require("../models/post");
+const Category = require("../models/category");
+const Revision = require("../models/revision");
 const User = require("../models/user");
+const ModerationLog = require("../models/moderation-log");
+const permissions = require("../util/permissions");
+const attachmentService = require("../services/attachments");
+const reactions = require("../services/reactions");
+const follows = require("../services/follows");
+const trash = require("../services/trash");
+const events = require("../services/events");
+const { moderate } = require("../services/moderation");
+const { serializeAttachment } = require("../serializers/attachment");
+const { paginate, parsePagination } = require("../util/pagination");
+const { assertValid } = require("../util/validation");
+const {
+  canViewPost,
+  postVisibilityFilter,
+  publishedFilter,
+} = require("../util/visibility");
+const { normalizeTag, normalizeTags } = require("../util/tags");
+const {
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  ValidationError,
+} = require("../util/errors");
+const { serializePost, serializePosts, viewFor } = require("../serializers/post");
+
+const SORT_OPTIONS = {
+  newest: { createdAt: -1, _id: -1 },
+  oldest: { createdAt: 1, _id: 1 },
+  title: { title: 1, _id: 1 },
+  "most-liked": { likeCount: -1, _id: -1 },
+  // Most liked among the posts of the last days, see trendingFilter.
+  trending: { likeCount: -1, createdAt: -1, _id: -1 },
+};
+
+const trendingFilter = () => ({
+  createdAt: {
+    $gte: new Date(
+      Date.now() - config.feed.trendingWindowDays * 24 * 60 * 60 * 1000
+    ),
+  },
+});
+
+// Resolves the `category` parameter of /feed/posts, which is a category id or slug.
+const findCategory = async (value) => {
+  const category = await Category.findOne(
+    mongoose.isObjectIdOrHexString(value) ? { _id: value } : { slug: value }
+  );
+  if (!category) {
+    throw new NotFoundError("Could not find category.");
+  }
+  return category;
+};
+
+// Builds the filter for the search parameters of /feed/posts. It is always combined with the
+// visibility filter of the caller, so it can only narrow down what the caller may see.
+const buildSearchFilter = async (query) => {
+  const filter = {};
+  if (query.q) {
+    filter.$text = { $search: query.q };
+  }
+  if (query.author) {
+    filter.author = query.author;
+  }
+  if (query.status) {
+    filter.status = query.status;
+  }
+  if (query.tag) {
+    filter.tags = normalizeTag(query.tag);
+  }
+  if (query.category) {
+    filter.category = (await findCategory(query.category))._id;
+  }
+  if (query.from || query.to) {
+    filter.createdAt = {};
+    if (query.from) {
+      filter.createdAt.$gte = new Date(query.from);
+    }
+    if (query.to) {
+      filter.createdAt.$lte = new Date(query.to);
+    }
+  }
+  return filter;
+};
 
 exports.getPosts = async (req, res, next) => {
-  const currentPage = req.query.page || 1;
-  const perPage = 4;
-  let posts;
-  let totalItems;
+  const sortName = req.query.sort || "newest";
+  const sort = SORT_OPTIONS[sortName];
+
+  try {
+    assertValid(req);
+    const user = req.userId ? await User.findById(req.userId) : null;
+
+    const filter = {
+      $and: [postVisibilityFilter(user), await buildSearchFilter(req.query)],
+    };
+    if (sortName === "trending") {
+      filter.$and.push(trendingFilter());
+    }
+
+    const { items, pageInfo } = await paginate(
+      Post,
+      filter,
+      sort,
+      parsePagination(req.query, 4, 50),
+      (query) =>
+        query
+          .populate("author", "firstName lastName")
+          .populate("coverImage attachments category")
+    );
+
+    res.status(200).json({
+      message: "Fetched posts successfully!",
+      posts: serializePosts(
+        items,
+        user,
+        await reactions.reactionsOf(req.userId, items)
+      ),
+      totalItems: pageInfo.totalItems,
+      pageInfo: pageInfo,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
 
+// Tags of the posts the caller can see, most used first.
+exports.getTags = async (req, res, next) => {
   try {
+    assertValid(req);
+    const user = req.userId ? await User.findById(req.userId) : null;
+
+    const tags = await Post.aggregate([
+      { $match: postVisibilityFilter(user) },
+      { $unwind: "$tags" },
+      { $group: { _id: "$tags", postCount: { $sum: 1 } } },
+      { $sort: { postCount: -1, _id: 1 } },
+      { $limit: +req.query.limit || 50 },
+    ]);
+
+    res.status(200).json({
+      message: "Fetched tags successfully!",
+      tags: tags.map((tag) => ({ tag: tag._id, postCount: tag.postCount })),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Allowed posts of the authors the current user follows, newest first.
+exports.getHomeFeed = async (req, res, next) => {
+  try {
+    assertValid(req);
     const user = await User.findById(req.userId);
-    if (!req.userId || user.role === "USER") {
-      posts = await Post.find({ allowed: true }) // Only fetch posts with "allowed" flag set to true
-        .skip((currentPage - 1) * perPage)
-        .limit(perPage);
+    const authorIds = await follows.followingIdsOf(req.userId);
+
+    const { items, pageInfo } = await paginate(
+      Post,
+      { ...publishedFilter(), author: { $in: authorIds } },
+      SORT_OPTIONS.newest,
+      parsePagination(req.query, 10, 50),
+      (query) =>
+        query
+          .populate("author", "firstName lastName")
+          .populate("coverImage attachments category")
+    );
 
-      totalItems = await Post.countDocuments({ allowed: true });
-    } else if (user.role === "BLOGGER") {
-      posts = await Post.find({ author: req.userId }) // Fetch posts created by the user
-        .skip((currentPage - 1) * perPage)
-        .limit(perPage);
+    res.status(200).json({
+      message: "Fetched home feed successfully!",
+      posts: serializePosts(
+        items,
+        user,
+        await reactions.reactionsOf(req.userId, items)
+      ),
+      totalItems: pageInfo.totalItems,
+      pageInfo: pageInfo,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
 
-      totalItems = await Post.countDocuments({ author: req.userId });
-    } else if (user.role === "ADMIN") {
-      posts = await Post.find() // Fetch all posts
-        .skip((currentPage - 1) * perPage)
-        .limit(perPage);
+exports.getPostRequests = async (req, res, next) => {
+  try {
+    assertValid(req);
+    const { items, pageInfo } = await paginate(
+      Post,
+      { status: "pending" }, // Fetch posts waiting for review, oldest first
+      { createdAt: 1, _id: 1 },
+      parsePagination(req.query, 4, 50),
+      (query) => query.populate("author", "firstName lastName")
+    );
 
-      totalItems = await Post.countDocuments();
+    res.status(200).json({
+      message: "Fetched posts successfully!",
+      posts: serializePosts(items, req.user),
+      totalItems: pageInfo.totalItems,
+      pageInfo: pageInfo,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.allowPostRequest = async (req, res, next) => {
+  const postId = req.params.postId;
+
+  try {
+    const post = await Post.findById(postId);
+    if (!post) {
+      throw new NotFoundError("Could not find post.");
     }
 
-    if (!posts || posts.length === 0) {
-      const error = new Error("Could not find any posts.");
-      error.statusCode = 404;
-      throw error;
+    await moderate(post, "approve", req.userId, req.body.reason);
+
+    const postAuthor = await User.findById(post.author); // Access the user who created the post
+    const promotedRole = postAuthor
+      ? permissions.promotionOnApproval(postAuthor.role)
+      : null;
+
+    if (promotedRole) {
+      const fromRole = postAuthor.role;
+      postAuthor.role = promotedRole;
+      await postAuthor.save();
+      await events.publish("user.role-changed", {
+        user: postAuthor,
+        fromRole: fromRole,
+        toRole: promotedRole,
+        actorId: null,
+      });
     }
 
     res.status(200).json({
-      message: "Fetched posts successfully!",
-      posts: posts,
-      totalItems: totalItems,
+      message: "Post request allowed successfully!",
+      post: serializePost(post, "admin"),
+      authorRole: postAuthor ? postAuthor.role : null,
+      authorPromoted: !!promotedRole,
     });
   } catch (err) {
-    if (!err.statusCode) {
-      err.statusCode = 500;
-    }
     next(err);
   }
 };
 
-exports.getPostRequests = async (req, res, next) => {
-  const currentPage = req.query.page || 1;
-  const perPage = 4;
+const moderationAction = (action, message) => async (req, res, next) => {
+  const postId = req.params.postId;
 
   try {
-    const user = await User.findById(req.userId);
-    if (!(user.role === "ADMIN")) {
-      const error = new Error("Not authorized.");
-      error.statusCode = 401;
-      throw error;
+    assertValid(req);
+    const post = await Post.findById(postId);
+    if (!post) {
+      throw new NotFoundError("Could not find post.");
     }
 
-    const posts = await Post.find({ allowed: false }) // Fetch all posts
-      .skip((currentPage - 1) * perPage)
-      .limit(perPage);
+    await moderate(post, action, req.userId, req.body.reason);
+
+    res.status(200).json({ message: message, post: serializePost(post, "admin") });
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.rejectPostRequest = moderationAction("reject", "Post rejected.");
+
+exports.requestPostChanges = moderationAction(
+  "request-changes",
+  "Post sent back for changes."
+);
+
+exports.unpublishPost = moderationAction("unpublish", "Post unpublished.");
 
-    const totalItems = await Post.countDocuments({ allowed: false });
+exports.submitPost = async (req, res, next) => {
+  const postId = req.params.postId;
 
-    if (!posts || posts.length === 0) {
-      const error = new Error("Could not find any posts.");
-      error.statusCode = 404;
-      throw error;
+  try {
+    const post = await Post.findById(postId);
+    if (!post) {
+      throw new NotFoundError("Could not find post.");
     }
 
+    if (post.author.toString() !== req.userId) {
+      throw new ForbiddenError();
+    }
+
+    await moderate(post, "submit", req.userId);
+
     res.status(200).json({
-      message: "Fetched posts successfully!",
-      posts: posts,
-      totalItems: totalItems,
+      message: "Post submitted for review.",
+      post: serializePost(post, "self"),
     });
   } catch (err) {
-    if (!err.statusCode) {
-      err.statusCode = 500;
-    }
     next(err);
   }
 };
 
-exports.allowPostRequest = async (req, res, next) => {
+// Changes when an approved or not yet reviewed post goes live, without sending it back
+// into review. Available to the author and moderators.
+exports.schedulePost = async (req, res, next) => {
   const postId = req.params.postId;
 
   try {
+    assertValid(req);
     const post = await Post.findById(postId);
-    const user = await User.findById(req.userId);
+    if (!post) {
+      throw new NotFoundError("Could not find post.");
+    }
 
-    if (!(user.role === "ADMIN")) {
-      const error = new Error("Not authorized.");
-      error.statusCode = 401;
-      throw error;
+    const user = await User.findById(req.userId);
+    const isAuthor = post.author.toString() === req.userId;
+    if (!isAuthor && !permissions.can(user.role, "post:approve")) {
+      throw new ForbiddenError();
+    }
+    if (!isAuthor && post.status === "draft") {
+      throw new NotFoundError("Could not find post.");
+    }
+    if (post.allowed) {
+      throw new ConflictError(
+        "The post is already published.",
+        undefined,
+        "ALREADY_PUBLISHED"
+      );
     }
 
-    post.allowed = true;
+    post.publishAt = req.body.publishAt ? new Date(req.body.publishAt) : undefined;
     await post.save();
+    await events.publish("post.updated", { post: post, actorId: req.userId });
 
-    const postAuthor = await User.findById(post.author); // Access the user who created the post
+    res.status(200).json({
+      message: post.isScheduled() ? "Post scheduled." : "Schedule removed.",
+      post: serializePost(post, viewFor(user, post)),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
 
-    if (!(postAuthor.role === "ADMIN")) {
-      postAuthor.role = "BLOGGER"; // Update the author's role to "BLOGGER"
-      await postAuthor.save();
+exports.getModerationHistory = async (req, res, next) => {
+  const postId = req.params.postId;
+
+  try {
+    const post = await Post.findById(postId);
+    if (!post) {
+      throw new NotFoundError("Could not find post.");
+    }
+
+    const user = await User.findById(req.userId);
+    if (
+      post.author.toString() !== req.userId &&
+      !permissions.can(user.role, "post:approve")
+    ) {
+      throw new ForbiddenError();
     }
 
+    const history = await ModerationLog.find({ post: postId })
+      .sort({ createdAt: 1 })
+      .populate("actor", "firstName lastName role");
+
     res.status(200).json({
-      message: "Post request allowed successfully!",
-      post: post,
+      message: "Fetched moderation history.",
+      status: post.status,
+      history: history,
     });
   } catch (err) {
-    if (!err.statusCode) {
-      err.statusCode = 500;
+    next(err);
+  }
+};
+
+// Applies the files and attachment ids of a create/update request to `post`. Uploaded files
+// are stored right away. Resolves to the ids of the replaced or removed attachments, which
+// are deleted with `removeDetached` once the post is saved.
+const attachFiles = async (post, req) => {
+  const files = req.files || {};
+  const body = req.body;
+
+  const removeIds = attachmentService.parseIds(body.removeAttachmentIds);
+  if (removeIds.length > 0) {
+    post.attachments = post.attachments.filter(
+      (id) => !removeIds.includes(id.toString())
+    );
+  }
+  const detached = [...removeIds];
+
+  const claimed = await attachmentService.claimAttachments(
+    attachmentService.parseIds(body.attachmentIds),
+    req.userId,
+    post._id
+  );
+  const uploaded = await Promise.all(
+    (files.attachments || []).map((file) =>
+      attachmentService.createAttachment(file, req.userId, post._id)
+    )
+  );
+  const current = post.attachments.map((id) => id.toString());
+  [...claimed, ...uploaded].forEach((attachment) => {
+    if (!current.includes(attachment._id.toString())) {
+      post.attachments.push(attachment._id);
+    }
+  });
+
+  let coverImage;
+  if (files.coverImage) {
+    coverImage = await attachmentService.createAttachment(
+      files.coverImage[0],
+      req.userId,
+      post._id
+    );
+  } else if (body.coverImageId) {
+    [coverImage] = await attachmentService.claimAttachments(
+      [body.coverImageId],
+      req.userId,
+      post._id
+    );
+  }
+
+  const removeCover = String(body.removeCoverImage) === "true";
+  const previousCover = post.coverImage;
+  if (coverImage || removeCover) {
+    post.coverImage = coverImage ? coverImage._id : undefined;
+    if (previousCover && !previousCover.equals(post.coverImage)) {
+      detached.push(previousCover.toString());
+    }
+  }
+
+  const kept = [...post.attachments, post.coverImage].filter(Boolean).map(String);
+  return detached.filter((id) => !kept.includes(id));
+};
+
+// Deletes the attachments `attachFiles` took off `post`, with their files.
+const removeDetached = async (post, ids) => {
+  if (ids.length > 0) {
+    await attachmentService.removeAttachments({ _id: { $in: ids }, post: post._id });
+  }
+};
+
+exports.uploadFile = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      throw new ValidationError("No file uploaded.");
     }
+
+    const attachment = await attachmentService.createAttachment(
+      req.file,
+      req.userId
+    );
+
+    res.status(201).json({
+      message: "File uploaded.",
+      attachment: serializeAttachment(attachment),
+    });
+  } catch (err) {
     next(err);
   }
 };
@@ -126,98 +461,130 @@ exports.getPost = async (req, res, next) => {
   const postId = req.params.postId;
 
   try {
-    const post = await Post.findById(postId);
-    if (!post) {
-      const error = new Error("Could not find post.");
-      error.statusCode = 404;
-      throw error;
+    const post = await Post.findById(postId)
+      .populate("author", "firstName lastName")
+      .populate("coverImage attachments category");
+    const user = await User.findById(req.userId);
+    if (!canViewPost(user, post)) {
+      throw new NotFoundError("Could not find post.");
     }
+
+    // Authors reading their own post do not count as views.
+    const isAuthor = !!post.author && user._id.equals(post.author._id);
+    if (!isAuthor) {
+      // Counters are not edits, so they leave `updatedAt` alone.
+      await Post.updateOne(
+        { _id: post._id },
+        { $inc: { viewCount: 1 } },
+        { timestamps: false }
+      );
+      post.viewCount += 1;
+    }
+
     res.status(200).json({
       message: "Post fetched",
-      post: post,
+      post: serializePost(
+        post,
+        viewFor(user, post),
+        await reactions.reactionsOf(req.userId, [post])
+      ),
     });
   } catch (err) {
-    if (!err.statusCode) {
-      err.statusCode = 500;
-      err.message = `Could not find post with id: ${postId}`;
-    }
     next(err);
   }
 };
 
-exports.createPost = async (req, res, next) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    const error = new Error("Validation failed, entered data is incorrect.");
-    error.statusCode = 422;
-    throw error;
+// Sets the tags, category and publish time sent with a create/update request. Omitted
+// fields stay as they are, an empty `category` or `publishAt` removes the value.
+const applyClassification = (post, body) => {
+  if (body.tags !== undefined) {
+    post.tags = normalizeTags(body.tags);
   }
+  if (body.category !== undefined) {
+    post.category = body.category || undefined;
+  }
+  if (body.publishAt !== undefined) {
+    post.publishAt = body.publishAt ? new Date(body.publishAt) : undefined;
+  }
+};
 
+exports.createPost = async (req, res, next) => {
   const title = req.body.title;
   const content = req.body.content;
 
+  // Drafts stay private to the author until they are submitted for review.
   const post = new Post({
     title: title,
     content: content,
     author: req.userId,
+    status: String(req.body.draft) === "true" ? "draft" : "pending",
   });
 
   try {
+    assertValid(req);
+    applyClassification(post, req.body);
+    const detached = await attachFiles(post, req);
     await post.save();
+    await removeDetached(post, detached);
+    await post.populate("coverImage attachments category");
     const user = await User.findById(req.userId);
     user.posts.push(post);
     await user.save();
+    await events.publish("post.created", { post: post, actorId: user._id });
+    if (post.status === "pending") {
+      await events.publish("post.submitted", { post: post, actorId: user._id });
+    }
     res.status(201).json({
       message: "Post created successfully!",
-      post: post,
+      post: serializePost(post, "self"),
       author: {
         _id: user._id,
         name: user.firstName + " " + user.lastName,
       },
     });
   } catch (err) {
-    if (!err.statusCode) {
-      err.statusCode = 500;
-    }
     next(err);
   }
 };
 
 exports.updatePost = async (req, res, next) => {
   const postId = req.params.postId;
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    const error = new Error("Validation failed, entered data is incorrect.");
-    error.statusCode = 422;
-    throw error;
-  }
   const title = req.body.title;
   const content = req.body.content;
 
   try {
+    assertValid(req);
     const post = await Post.findById(postId);
     if (!post) {
-      const error = new Error("Could not find post for update.");
-      error.statusCode = 404;
-      throw error;
+      throw new NotFoundError("Could not find post for update.");
     }
 
     if (post.author.toString() !== req.userId) {
-      const error = new Error("Not authenticated.");
-      error.statusCode = 403;
-      throw error;
+      throw new ForbiddenError();
     }
 
+    const previous = Revision.snapshot(post);
+
     post.title = title;
     post.content = content;
-    post.allowed = true;
+    applyClassification(post, req.body);
+    const detached = await attachFiles(post, req);
+
+    // Editing a reviewed post sends it back into the approval queue.
+    if (post.canTransition("edit")) {
+      await moderate(post, "edit", req.userId);
+    }
 
     const result = await post.save();
-    res.status(200).json({ message: "Post updated!", post: result });
+    await removeDetached(result, detached);
+    await Revision.record(previous, req.userId);
+    await result.populate("coverImage attachments category");
+    await events.publish("post.updated", { post: result, actorId: req.userId });
+    res.status(200).json({
+      message: "Post updated!",
+      post: serializePost(result, "self"),
+    });
   } catch (err) {
-    if (!err.statusCode) {
-      err.statusCode = 500;
-    }
     next(err);
   }
 };
@@ -227,27 +594,27 @@ exports.deletePost = async (req, res, next) => {
   try {
     const post = await Post.findById(postId);
     if (!post) {
-      const error = new Error("Could not find post to delete.");
-      error.statusCode = 404;
-      throw error;
+      throw new NotFoundError("Could not find post to delete.");
     }
 
-    if (post.author.toString() !== req.userId) {
-      const error = new Error("Not authenticated.");
-      error.statusCode = 403;
-      throw error;
+    const user = await User.findById(req.userId);
+    if (
+      post.author.toString() !== req.userId &&
+      !permissions.can(user.role, "post:delete:any")
+    ) {
+      throw new ForbiddenError();
     }
 
-    await Post.findByIdAndRemove(postId);
-    const user = await User.findById(req.userId);
-    user.posts.pull(postId);
-    await user.save();
+    // The post goes to the trash, see controllers/trash.js.
+    await trash.trashPost(post, req.userId);
+    await events.publish("post.deleted", { post: post, actorId: req.userId });
 
-    res.status(200).json({ message: "Post deleted!", post: post });
+    res.status(200).json({
+      message: "Post deleted!",
+      post: serializePost(post, viewFor(user, post)),
+      restorableUntil: trash.purgeAt(post),
+    });
   } catch (err) {
-    if (!err.statusCode) {
-      err.statusCode = 500;
-    }
     next(err);
   }
 };
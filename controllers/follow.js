@@ -0,0 +1,87 @@
+const Follow = require("../models/follow");
+const User = require("../models/user");
+const follows = require("../services/follows");
+const { serializeUser } = require("../serializers/user");
+const { paginate, parsePagination } = require("../util/pagination");
+const { assertValid } = require("../util/validation");
+const { ConflictError, NotFoundError } = require("../util/errors");
+
+const loadUser = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new NotFoundError("Could not find a user.");
+  }
+  return user;
+};
+
+exports.followUser = async (req, res, next) => {
+  try {
+    const user = await loadUser(req.params.userId);
+    if (user._id.toString() === req.userId) {
+      throw new ConflictError("You cannot follow yourself.");
+    }
+
+    await follows.follow(req.userId, user._id);
+    const updated = await User.findById(user._id, "followerCount");
+
+    res.status(200).json({
+      message: "User followed.",
+      followerCount: updated.followerCount,
+      followedByMe: true,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.unfollowUser = async (req, res, next) => {
+  try {
+    const user = await loadUser(req.params.userId);
+
+    await follows.unfollow(req.userId, user._id);
+    const updated = await User.findById(user._id, "followerCount");
+
+    res.status(200).json({
+      message: "User unfollowed.",
+      followerCount: updated.followerCount,
+      followedByMe: false,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Lists one side of the follow relations of a user, most recent first.
+// `side` is "followers" (users following them) or "following" (users they follow).
+const followList = (side) => async (req, res, next) => {
+  const [filterKey, userKey] =
+    side === "followers" ? ["following", "follower"] : ["follower", "following"];
+
+  try {
+    assertValid(req);
+    const user = await loadUser(req.params.userId);
+
+    const { items, pageInfo } = await paginate(
+      Follow,
+      { [filterKey]: user._id },
+      { createdAt: -1, _id: -1 },
+      parsePagination(req.query, 20, 100),
+      (query) => query.populate(userKey)
+    );
+
+    res.status(200).json({
+      message: `Fetched ${side} successfully!`,
+      users: items
+        .filter((follow) => follow[userKey])
+        .map((follow) => serializeUser(follow[userKey], "public")),
+      totalItems: pageInfo.totalItems,
+      pageInfo: pageInfo,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.getFollowers = followList("followers");
+
+exports.getFollowing = followList("following");
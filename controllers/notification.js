@@ -0,0 +1,128 @@
+const Notification = require("../models/notification");
+const User = require("../models/user");
+const notifications = require("../services/notifications");
+const { serializeNotification } = require("../serializers/notification");
+const { paginate, parsePagination } = require("../util/pagination");
+const { assertValid } = require("../util/validation");
+const { NotFoundError } = require("../util/errors");
+
+// Notifications of the current user, newest first. `?unread=true` lists unread ones only.
+exports.getNotifications = async (req, res, next) => {
+  try {
+    assertValid(req);
+    const filter = { user: req.userId };
+    if (req.query.unread === "true") {
+      filter.readAt = null;
+    }
+
+    const { items, pageInfo } = await paginate(
+      Notification,
+      filter,
+      { createdAt: -1, _id: -1 },
+      parsePagination(req.query, 20, 100),
+      (query) => query.populate("actor", "firstName lastName")
+    );
+
+    res.status(200).json({
+      message: "Fetched notifications successfully!",
+      notifications: items.map(serializeNotification),
+      unreadCount: await notifications.unreadCount(req.userId),
+      totalItems: pageInfo.totalItems,
+      pageInfo: pageInfo,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.getUnreadCount = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      message: "Fetched unread count successfully!",
+      unreadCount: await notifications.unreadCount(req.userId),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.markAsRead = async (req, res, next) => {
+  try {
+    const notification = await Notification.findOne({
+      _id: req.params.notificationId,
+      user: req.userId,
+    });
+    if (!notification) {
+      throw new NotFoundError("Could not find notification.");
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.status(200).json({
+      message: "Notification marked as read.",
+      notification: serializeNotification(notification),
+      unreadCount: await notifications.unreadCount(req.userId),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.markAllAsRead = async (req, res, next) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.userId, readAt: null },
+      { readAt: new Date() }
+    );
+
+    res.status(200).json({
+      message: "Notifications marked as read.",
+      updatedCount: result.modifiedCount,
+      unreadCount: 0,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.getPreferences = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.userId);
+
+    res.status(200).json({
+      message: "Fetched notification preferences successfully!",
+      preferences: notifications.preferencesOf(user),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Takes `{ "<type>": true | false }`; types left out keep their setting.
+exports.updatePreferences = async (req, res, next) => {
+  try {
+    assertValid(req);
+    const user = await User.findById(req.userId);
+
+    const muted = new Set(user.mutedNotifications || []);
+    notifications.TYPES.forEach((type) => {
+      if (req.body[type] === true) {
+        muted.delete(type);
+      } else if (req.body[type] === false) {
+        muted.add(type);
+      }
+    });
+    user.mutedNotifications = [...muted];
+    await user.save();
+
+    res.status(200).json({
+      message: "Notification preferences updated.",
+      preferences: notifications.preferencesOf(user),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
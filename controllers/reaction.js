@@ -0,0 +1,103 @@
+const Bookmark = require("../models/bookmark");
+const User = require("../models/user");
+const reactions = require("../services/reactions");
+const { serializePost, viewFor } = require("../serializers/post");
+const { paginate, parsePagination } = require("../util/pagination");
+const { assertValid } = require("../util/validation");
+const { canViewPost, loadVisiblePost } = require("../util/visibility");
+
+exports.likePost = async (req, res, next) => {
+  try {
+    const { post } = await loadVisiblePost(req.params.postId, req.userId);
+    const likeCount = await reactions.like(req.userId, post);
+
+    res.status(200).json({
+      message: "Post liked.",
+      likeCount: likeCount,
+      likedByMe: true,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.unlikePost = async (req, res, next) => {
+  try {
+    const { post } = await loadVisiblePost(req.params.postId, req.userId);
+    const likeCount = await reactions.unlike(req.userId, post);
+
+    res.status(200).json({
+      message: "Like removed.",
+      likeCount: likeCount,
+      likedByMe: false,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.bookmarkPost = async (req, res, next) => {
+  try {
+    const { post } = await loadVisiblePost(req.params.postId, req.userId);
+    await reactions.bookmark(req.userId, post);
+
+    res.status(200).json({ message: "Post bookmarked.", bookmarkedByMe: true });
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.unbookmarkPost = async (req, res, next) => {
+  try {
+    const { post } = await loadVisiblePost(req.params.postId, req.userId);
+    await reactions.unbookmark(req.userId, post);
+
+    res.status(200).json({ message: "Bookmark removed.", bookmarkedByMe: false });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Bookmarks of the current user, newest first. Posts the user may no longer see
+// (e.g. unpublished since) are left out of the page.
+exports.getBookmarks = async (req, res, next) => {
+  try {
+    assertValid(req);
+    const user = await User.findById(req.userId);
+
+    const { items, pageInfo } = await paginate(
+      Bookmark,
+      { user: req.userId },
+      { createdAt: -1, _id: -1 },
+      parsePagination(req.query, 20, 100),
+      (query) =>
+        query.populate({
+          path: "post",
+          populate: [
+            { path: "author", select: "firstName lastName" },
+            { path: "coverImage attachments category" },
+          ],
+        })
+    );
+
+    const posts = items
+      .map((bookmark) => bookmark.post)
+      .filter((post) => canViewPost(user, post));
+    const state = await reactions.reactionsOf(req.userId, posts);
+
+    res.status(200).json({
+      message: "Fetched bookmarks successfully!",
+      bookmarks: items
+        .filter((bookmark) => posts.includes(bookmark.post))
+        .map((bookmark) => ({
+          _id: bookmark._id,
+          createdAt: bookmark.createdAt,
+          post: serializePost(bookmark.post, viewFor(user, bookmark.post), state),
+        })),
+      totalItems: pageInfo.totalItems,
+      pageInfo: pageInfo,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,180 @@
+const { diffLines, diffWords } = require("diff");
+
+const Post = require("../models/post");
+const Revision = require("../models/revision");
+const User = require("../models/user");
+const permissions = require("../util/permissions");
+const events = require("../services/events");
+const { moderate } = require("../services/moderation");
+const { serializePost, viewFor } = require("../serializers/post");
+const { paginate, parsePagination } = require("../util/pagination");
+const { assertValid } = require("../util/validation");
+const { ForbiddenError, NotFoundError } = require("../util/errors");
+
+// Loads the post of the request, which must belong to the current user unless they may
+// see the revisions of any post. Drafts of other users stay hidden like everywhere else.
+const loadPost = async (postId, userId) => {
+  const post = await Post.findById(postId);
+  const isAuthor = !!post && post.author.toString() === userId;
+  if (!post || (!isAuthor && post.status === "draft")) {
+    throw new NotFoundError("Could not find post.");
+  }
+  const user = await User.findById(userId);
+  if (!isAuthor && !permissions.can(user.role, "post:revision:any")) {
+    throw new ForbiddenError();
+  }
+  return { post, user };
+};
+
+const loadRevision = async (post, number) => {
+  const revision = await Revision.findOne({ post: post._id, number: number });
+  if (!revision) {
+    throw new NotFoundError(`Could not find revision ${number}.`);
+  }
+  return revision;
+};
+
+// "current" stands for the live post, anything else is a revision number.
+const loadVersion = (post, version) =>
+  version === "current" ? post : loadRevision(post, +version);
+
+const serializeRevision = (revision, withContent) => {
+  const data = {
+    _id: revision._id,
+    number: revision.number,
+    title: revision.title,
+    tags: revision.tags,
+    category: revision.category || null,
+    editor: revision.editor && revision.editor.firstName
+      ? {
+          _id: revision.editor._id,
+          name: revision.editor.firstName + " " + revision.editor.lastName,
+        }
+      : revision.editor,
+    createdAt: revision.createdAt,
+  };
+  if (withContent) {
+    data.content = revision.content;
+  }
+  return data;
+};
+
+const idOrNull = (value) => (value ? value.toString() : null);
+
+exports.getRevisions = async (req, res, next) => {
+  try {
+    assertValid(req);
+    const { post } = await loadPost(req.params.postId, req.userId);
+
+    const { items, pageInfo } = await paginate(
+      Revision,
+      { post: post._id },
+      { number: -1, _id: -1 },
+      parsePagination(req.query, 20, 100),
+      (query) => query.populate("editor", "firstName lastName")
+    );
+
+    res.status(200).json({
+      message: "Fetched revisions successfully!",
+      revisions: items.map((revision) => serializeRevision(revision, false)),
+      totalItems: pageInfo.totalItems,
+      pageInfo: pageInfo,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.getRevision = async (req, res, next) => {
+  try {
+    assertValid(req);
+    const { post } = await loadPost(req.params.postId, req.userId);
+    const revision = await loadRevision(post, +req.params.number);
+    await revision.populate("editor", "firstName lastName");
+
+    res.status(200).json({
+      message: "Fetched revision.",
+      revision: serializeRevision(revision, true),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Compares two versions of a post. Text fields are returned as lists of unchanged, added
+// and removed parts, as produced by the `diff` package.
+exports.getRevisionDiff = async (req, res, next) => {
+  const from = req.query.from;
+  const to = req.query.to || "current";
+
+  try {
+    assertValid(req);
+    const { post } = await loadPost(req.params.postId, req.userId);
+    const [older, newer] = await Promise.all([
+      loadVersion(post, from),
+      loadVersion(post, to),
+    ]);
+
+    const olderTags = older.tags || [];
+    const newerTags = newer.tags || [];
+
+    res.status(200).json({
+      message: "Compared revisions.",
+      from: from,
+      to: to,
+      changes: {
+        title: diffWords(older.title, newer.title),
+        content: diffLines(older.content, newer.content),
+        tags: {
+          added: newerTags.filter((tag) => !olderTags.includes(tag)),
+          removed: olderTags.filter((tag) => !newerTags.includes(tag)),
+        },
+        category: {
+          from: idOrNull(older.category),
+          to: idOrNull(newer.category),
+          changed: idOrNull(older.category) !== idOrNull(newer.category),
+        },
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Brings back the values of a revision. The replaced version is kept as a new revision and,
+// like any edit, restoring a reviewed post sends it back into the approval queue.
+exports.restoreRevision = async (req, res, next) => {
+  try {
+    assertValid(req);
+    const { post, user } = await loadPost(req.params.postId, req.userId);
+    const revision = await loadRevision(post, +req.params.number);
+
+    const previous = Revision.snapshot(post);
+
+    post.title = revision.title;
+    post.content = revision.content;
+    post.tags = revision.tags;
+    post.category = revision.category;
+
+    if (post.canTransition("edit")) {
+      await moderate(
+        post,
+        "edit",
+        req.userId,
+        `Restored revision ${revision.number}.`
+      );
+    } else {
+      await post.save();
+    }
+    await Revision.record(previous, req.userId);
+    await post.populate("coverImage attachments category");
+    await events.publish("post.updated", { post: post, actorId: req.userId });
+
+    res.status(200).json({
+      message: `Restored revision ${revision.number}.`,
+      post: serializePost(post, viewFor(user, post)),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
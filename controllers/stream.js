@@ -0,0 +1,33 @@
+const authentication = require("../middleware/is-auth");
+const User = require("../models/user");
+const stream = require("../services/stream");
+
+// Keeps the response open as a Server-Sent Events stream, see services/stream.js.
+exports.getStream = async (req, res, next) => {
+  try {
+    const user = req.userId ? await User.findById(req.userId) : null;
+    const token = user && authentication.streamToken(req);
+
+    res.status(200).set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      // Keeps nginx from buffering the events.
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+    res.write("retry: 5000\n\n");
+    res.write(
+      `event: ready\ndata: ${JSON.stringify({ authenticated: !!user })}\n\n`
+    );
+
+    const removeClient = stream.addClient(
+      res,
+      user,
+      user && (() => authentication.authenticate({}, token))
+    );
+    req.on("close", removeClient);
+  } catch (err) {
+    next(err);
+  }
+};
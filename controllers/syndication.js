@@ -0,0 +1,129 @@
+const crypto = require("crypto");
+
+const config = require("../config");
+const Post = require("../models/post");
+const User = require("../models/user");
+const { publishedFilter } = require("../util/visibility");
+const { normalizeTag } = require("../util/tags");
+const { NotFoundError } = require("../util/errors");
+const markdown = require("../util/markdown");
+const {
+  authorName,
+  lastModified,
+  renderAtom,
+  renderRss,
+} = require("../serializers/syndication");
+
+const FORMATS = {
+  rss: { render: renderRss, contentType: "application/rss+xml; charset=utf-8" },
+  atom: { render: renderAtom, contentType: "application/atom+xml; charset=utf-8" },
+};
+
+// Strong ETag of a feed. It hashes what the feed shows of the posts rather than the body,
+// whose dates change on every request while the feed is empty, and leaves out counters and
+// moderation fields so views and likes keep the 304.
+const fingerprint = (format, channel, posts) =>
+  `"${crypto
+    .createHash("sha1")
+    .update(
+      JSON.stringify([
+        format,
+        channel,
+        posts.map((post) => [
+          post._id,
+          post.title,
+          markdown.renderedFields(post).contentHtml,
+          post.tags,
+          post.category,
+          authorName(post),
+          post.publishedAt,
+          post.createdAt,
+        ]),
+      ])
+    )
+    .digest("hex")}"`;
+
+// Answers with the feed of the last posts published matching `filter`, by publication date. Unchanged feeds
+// are answered with 304 based on ETag and Last-Modified, so feed readers only download
+// them after a change.
+const sendFeed = async (req, res, format, channel, filter = {}) => {
+  const posts = await Post.find({ ...publishedFilter(), ...filter })
+    .sort({ publishedAt: -1, _id: -1 })
+    .limit(config.feed.syndicationSize)
+    .populate("author", "firstName lastName");
+
+  const { render, contentType } = FORMATS[format];
+  const body = render(
+    { ...channel, selfUrl: `${req.protocol}://${req.get("host")}${req.originalUrl}` },
+    posts
+  );
+
+  const modified = lastModified(posts);
+  res.set({
+    "Content-Type": contentType,
+    "Cache-Control": "public, max-age=300",
+    ETag: fingerprint(format, channel, posts),
+  });
+  if (modified) {
+    res.set("Last-Modified", modified.toUTCString());
+  }
+
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+  res.status(200).send(body);
+};
+
+// The handlers take the format: `getFeed("rss")`, `getFeed("atom")`.
+exports.getFeed = (format) => async (req, res, next) => {
+  try {
+    await sendFeed(req, res, format, {
+      title: config.feed.title,
+      description: `Latest posts of ${config.feed.title}`,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.getAuthorFeed = (format) => async (req, res, next) => {
+  try {
+    const author = await User.findById(req.params.userId);
+    if (!author) {
+      throw new NotFoundError("Could not find a user.");
+    }
+    const name = author.firstName + " " + author.lastName;
+
+    await sendFeed(
+      req,
+      res,
+      format,
+      {
+        title: `${config.feed.title}: ${name}`,
+        description: `Latest posts by ${name}`,
+      },
+      { author: author._id }
+    );
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.getTagFeed = (format) => async (req, res, next) => {
+  try {
+    const tag = normalizeTag(req.params.tag);
+
+    await sendFeed(
+      req,
+      res,
+      format,
+      {
+        title: `${config.feed.title}: #${tag}`,
+        description: `Latest posts tagged ${tag}`,
+      },
+      { tags: tag }
+    );
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,127 @@
+const Post = require("../models/post");
+const User = require("../models/user");
+const permissions = require("../util/permissions");
+const events = require("../services/events");
+const trash = require("../services/trash");
+const { serializePost, viewFor } = require("../serializers/post");
+const { paginate, parsePagination } = require("../util/pagination");
+const { assertValid } = require("../util/validation");
+const {
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+} = require("../util/errors");
+
+const serializeTrashedPost = (post, viewer) => ({
+  ...serializePost(post, viewFor(viewer, post)),
+  deletedAt: post.deletedAt,
+  deletedBy: post.deletedBy,
+  purgeAt: trash.purgeAt(post),
+  restorable: trash.isRestorable(post),
+});
+
+// Loads a post from the trash. Authors may handle their own posts, users with the
+// `post:delete:any` permission any post.
+const loadTrashedPost = async (postId, userId) => {
+  const post = await Post.findOne({ _id: postId, deletedAt: { $ne: null } });
+  if (!post) {
+    throw new NotFoundError("Could not find post in the trash.");
+  }
+  const user = await User.findById(userId);
+  if (
+    post.author.toString() !== userId &&
+    !permissions.can(user.role, "post:delete:any")
+  ) {
+    throw new ForbiddenError();
+  }
+  return { post, user };
+};
+
+// Deleted posts of the current user, or of everybody for users who may delete any post.
+// Most recently deleted first.
+exports.getTrash = async (req, res, next) => {
+  try {
+    assertValid(req);
+    const user = await User.findById(req.userId);
+
+    const filter = { deletedAt: { $ne: null } };
+    if (!permissions.can(user.role, "post:delete:any")) {
+      filter.author = user._id;
+    }
+
+    const { items, pageInfo } = await paginate(
+      Post,
+      filter,
+      { deletedAt: -1, _id: -1 },
+      parsePagination(req.query, 10, 50),
+      (query) =>
+        query
+          .populate("author", "firstName lastName")
+          .populate("coverImage attachments category")
+    );
+
+    res.status(200).json({
+      message: "Fetched trash successfully!",
+      posts: items.map((post) => serializeTrashedPost(post, user)),
+      totalItems: pageInfo.totalItems,
+      pageInfo: pageInfo,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.restorePost = async (req, res, next) => {
+  try {
+    const { post, user } = await loadTrashedPost(req.params.postId, req.userId);
+    if (!trash.isRestorable(post)) {
+      throw new ConflictError(
+        "The retention period of this post is over.",
+        undefined,
+        "RETENTION_EXPIRED"
+      );
+    }
+
+    await trash.restorePost(post);
+    await post.populate("coverImage attachments category");
+    await events.publish("post.updated", { post: post, actorId: req.userId });
+
+    res.status(200).json({
+      message: "Post restored.",
+      post: serializePost(post, viewFor(user, post)),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Removes a post from the trash for good, without waiting for the retention period.
+exports.purgePost = async (req, res, next) => {
+  try {
+    const { post } = await loadTrashedPost(req.params.postId, req.userId);
+
+    await trash.purgePosts([post._id]);
+
+    res.status(200).json({ message: "Post deleted permanently.", postId: post._id });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Purges every post in the trash.
+exports.emptyTrash = async (req, res, next) => {
+  try {
+    const postIds = (
+      await Post.find({ deletedAt: { $ne: null } }, "_id")
+    ).map((post) => post._id);
+
+    await trash.purgePosts(postIds);
+
+    res.status(200).json({
+      message: "Trash emptied.",
+      postCount: postIds.length,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -1,23 +1,50 @@
+const bcrypt = require("bcryptjs");
+
+const config = require("../config");
 const User = require("../models/user");
+const Session = require("../models/session");
+const UserToken = require("../models/user-token");
+const mailer = require("../services/mailer");
+const { serializeUser, viewFor } = require("../serializers/user");
+const { paginate, parsePagination } = require("../util/pagination");
+const follows = require("../services/follows");
+const trash = require("../services/trash");
+const events = require("../services/events");
+const { assertValid } = require("../util/validation");
+const {
+  ConflictError,
+  NotFoundError,
+  UnauthorizedError,
+  ValidationError,
+} = require("../util/errors");
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
 
 exports.getUsers = async (req, res, next) => {
-  try {
-    const users = await User.find();
+  const filter = {};
+  if (req.query.role) {
+    filter.role = req.query.role;
+  }
+  if (req.query.email) {
+    filter.email = new RegExp(escapeRegExp(req.query.email), "i");
+  }
 
-    if (!users) {
-      const error = new Error("Could not find any users.");
-      error.statusCode = 404;
-      throw error;
-    }
+  try {
+    assertValid(req);
+    const { items, pageInfo } = await paginate(
+      User,
+      filter,
+      { _id: 1 },
+      parsePagination(req.query, 20, 100)
+    );
 
     res.status(200).json({
       message: "Fetched users successfully!",
-      users: users,
+      users: items.map((user) => serializeUser(user, "admin")),
+      totalItems: pageInfo.totalItems,
+      pageInfo: pageInfo,
     });
   } catch (err) {
-    if (!err.statusCode) {
-      err.statusCode = 500;
-    }
     next(err);
   }
 };
@@ -29,19 +56,275 @@ exports.getUser = async (req, res, next) => {
     const user = await User.findById(userId);
 
     if (!user) {
-      const error = new Error("Could not find a user.");
-      error.statusCode = 404;
-      throw error;
+      throw new NotFoundError("Could not find a user.");
     }
+    const viewer = await User.findById(req.userId);
     res.status(200).json({
       message: "User fetched",
-      user: user,
+      user: {
+        ...serializeUser(user, viewFor(viewer, user)),
+        followedByMe: await follows.isFollowing(req.userId, user._id),
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.updateUserRole = async (req, res, next) => {
+  const userId = req.params.userId;
+
+  try {
+    assertValid(req);
+    const user = await User.findById(userId);
+
+    if (!user) {
+      throw new NotFoundError("Could not find a user.");
+    }
+
+    if (user._id.toString() === req.userId) {
+      throw new ConflictError("You cannot change your own role.");
+    }
+
+    const fromRole = user.role;
+    user.role = req.body.role;
+    await user.save();
+    if (fromRole !== user.role) {
+      await events.publish("user.role-changed", {
+        user: user,
+        fromRole: fromRole,
+        toRole: user.role,
+        actorId: req.userId,
+      });
+    }
+
+    res.status(200).json({
+      message: "User role updated.",
+      userId: user._id,
+      role: user.role,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.updateMe = async (req, res, next) => {
+  try {
+    assertValid(req);
+    const user = await User.findById(req.userId);
+
+    ["firstName", "lastName", "email"].forEach((field) => {
+      if (req.body[field] !== undefined) {
+        user[field] = req.body[field];
+      }
+    });
+    // A new address has to be verified like on registration.
+    const emailChanged = user.isModified("email");
+    if (emailChanged) {
+      user.emailVerified = false;
+    }
+    await user.save();
+
+    if (emailChanged) {
+      const token = await UserToken.issue(
+        user._id,
+        "email-verification",
+        config.auth.verificationTokenTtlMinutes
+      );
+      await mailer.sendVerificationMail(user, token);
+    }
+
+    res.status(200).json({
+      message: emailChanged
+        ? "Profile updated. Please verify your new email address."
+        : "Profile updated.",
+      user: serializeUser(user, "self"),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.changePassword = async (req, res, next) => {
+  try {
+    assertValid(req);
+    const user = await User.findById(req.userId);
+
+    const isEqual = await bcrypt.compare(req.body.currentPassword, user.password);
+    if (!isEqual) {
+      throw new UnauthorizedError("Wrong password");
+    }
+
+    user.password = await bcrypt.hash(req.body.newPassword, 12);
+    await user.save();
+
+    // Keep the current device logged in, sign out everywhere else.
+    await Session.updateMany(
+      { user: user._id, _id: { $ne: req.sessionId }, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: "password-change" }
+    );
+
+    res.status(200).json({ message: "Password changed." });
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.updateUserStatus = async (req, res, next) => {
+  const userId = req.params.userId;
+
+  try {
+    assertValid(req);
+    const user = await User.findById(userId);
+
+    if (!user) {
+      throw new NotFoundError("Could not find a user.");
+    }
+
+    if (user._id.toString() === req.userId) {
+      throw new ConflictError("You cannot change your own status.");
+    }
+
+    const status = req.body.status;
+    user.status = status;
+    user.statusReason = status === "active" ? undefined : req.body.reason;
+    user.statusExpiresAt =
+      status === "active" || !req.body.expiresAt
+        ? undefined
+        : new Date(req.body.expiresAt);
+    user.statusChangedBy = req.userId;
+    await user.save();
+
+    if (user.isBlocked()) {
+      await Session.updateMany(
+        { user: user._id, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: status }
+      );
+    }
+
+    res.status(200).json({
+      message: "User status updated.",
+      userId: user._id,
+      status: user.status,
+      reason: user.statusReason,
+      expiresAt: user.statusExpiresAt,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.deleteUser = async (req, res, next) => {
+  const userId = req.params.userId;
+  const reassignTo = req.query.reassignTo;
+
+  try {
+    const user = await User.findById(userId);
+
+    if (!user) {
+      throw new NotFoundError("Could not find a user.");
+    }
+
+    if (user._id.toString() === req.userId) {
+      throw new ConflictError("You cannot delete your own account.");
+    }
+
+    let newAuthor = null;
+    if (reassignTo) {
+      newAuthor = await User.findById(reassignTo);
+      if (!newAuthor || newAuthor._id.equals(user._id)) {
+        throw new ValidationError("Could not find the user to reassign posts to.");
+      }
+    }
+
+    // The user goes to the trash; services/trash.js purges them after the retention period.
+    const postIds = await trash.trashUser(user, req.userId, newAuthor);
+
+    res.status(200).json({
+      message: "User deleted.",
+      userId: user._id,
+      posts: reassignTo ? "reassigned" : "deleted",
+      postCount: postIds.length,
+      restorableUntil: trash.purgeAt(user),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+const loadDeletedUser = async (userId) => {
+  const user = await User.findOne({ _id: userId, deletedAt: { $ne: null } });
+  if (!user) {
+    throw new NotFoundError("Could not find a deleted user.");
+  }
+  return user;
+};
+
+// Deleted users, most recently deleted first.
+exports.getDeletedUsers = async (req, res, next) => {
+  try {
+    assertValid(req);
+    const { items, pageInfo } = await paginate(
+      User,
+      { deletedAt: { $ne: null } },
+      { deletedAt: -1, _id: -1 },
+      parsePagination(req.query, 20, 100)
+    );
+
+    res.status(200).json({
+      message: "Fetched deleted users successfully!",
+      users: items.map((user) => ({
+        ...serializeUser(user, "admin"),
+        deletedAt: user.deletedAt,
+        deletedBy: user.deletedBy,
+        purgeAt: trash.purgeAt(user),
+        restorable: trash.isRestorable(user),
+      })),
+      totalItems: pageInfo.totalItems,
+      pageInfo: pageInfo,
     });
   } catch (err) {
-    if (!err.statusCode) {
-      err.statusCode = 500;
-      err.message = `Could not find user with id: ${userId}`;
+    next(err);
+  }
+};
+
+// Restores a deleted user together with the posts deleted with them. Their sessions stay
+// revoked, so they have to log in again.
+exports.restoreUser = async (req, res, next) => {
+  try {
+    const user = await loadDeletedUser(req.params.userId);
+    if (!trash.isRestorable(user)) {
+      throw new ConflictError(
+        "The retention period of this user is over.",
+        undefined,
+        "RETENTION_EXPIRED"
+      );
     }
+
+    await trash.restoreUser(user);
+
+    res.status(200).json({
+      message: "User restored.",
+      user: serializeUser(user, "admin"),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Removes a deleted user for good, without waiting for the retention period.
+exports.purgeUser = async (req, res, next) => {
+  try {
+    const user = await loadDeletedUser(req.params.userId);
+
+    const postCount = await trash.purgeUser(user);
+
+    res.status(200).json({
+      message: "User deleted permanently.",
+      userId: user._id,
+      postCount: postCount,
+    });
+  } catch (err) {
     next(err);
   }
 };
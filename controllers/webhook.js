@@ -0,0 +1,191 @@
+const Webhook = require("../models/webhook");
+const WebhookDelivery = require("../models/webhook-delivery");
+const webhooks = require("../services/webhooks");
+const { serializeDelivery, serializeWebhook } = require("../serializers/webhook");
+const { paginate, parsePagination } = require("../util/pagination");
+const { assertValid } = require("../util/validation");
+const { NotFoundError } = require("../util/errors");
+
+const loadWebhook = async (webhookId) => {
+  const webhook = await Webhook.findById(webhookId);
+  if (!webhook) {
+    throw new NotFoundError("Could not find webhook.");
+  }
+  return webhook;
+};
+
+exports.getWebhooks = async (req, res, next) => {
+  try {
+    assertValid(req);
+    const { items, pageInfo } = await paginate(
+      Webhook,
+      {},
+      { createdAt: -1, _id: -1 },
+      parsePagination(req.query, 20, 100)
+    );
+
+    res.status(200).json({
+      message: "Fetched webhooks successfully!",
+      webhooks: items.map((webhook) => serializeWebhook(webhook)),
+      totalItems: pageInfo.totalItems,
+      pageInfo: pageInfo,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.getWebhook = async (req, res, next) => {
+  try {
+    const webhook = await loadWebhook(req.params.webhookId);
+
+    res.status(200).json({
+      message: "Fetched webhook successfully!",
+      webhook: serializeWebhook(webhook),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.createWebhook = async (req, res, next) => {
+  try {
+    assertValid(req);
+    const webhook = await Webhook.create({
+      url: req.body.url,
+      events: [...new Set(req.body.events)],
+      description: req.body.description,
+      active: req.body.active !== false,
+      secret: webhooks.generateSecret(),
+      createdBy: req.userId,
+    });
+
+    res.status(201).json({
+      message: "Webhook created. Store the secret, it is not shown again.",
+      webhook: serializeWebhook(webhook, true),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.updateWebhook = async (req, res, next) => {
+  try {
+    assertValid(req);
+    const webhook = await loadWebhook(req.params.webhookId);
+
+    ["url", "description", "active"].forEach((field) => {
+      if (req.body[field] !== undefined) {
+        webhook[field] = req.body[field];
+      }
+    });
+    if (req.body.events !== undefined) {
+      webhook.events = [...new Set(req.body.events)];
+    }
+    await webhook.save();
+
+    res.status(200).json({
+      message: "Webhook updated.",
+      webhook: serializeWebhook(webhook),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.deleteWebhook = async (req, res, next) => {
+  try {
+    const webhook = await loadWebhook(req.params.webhookId);
+
+    await WebhookDelivery.deleteMany({ webhook: webhook._id });
+    await Webhook.deleteOne({ _id: webhook._id });
+
+    res.status(200).json({ message: "Webhook deleted.", webhookId: webhook._id });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Replaces the secret, e.g. after it leaked. Like on creation, the new one is shown once.
+exports.rotateSecret = async (req, res, next) => {
+  try {
+    const webhook = await loadWebhook(req.params.webhookId);
+
+    webhook.secret = webhooks.generateSecret();
+    await webhook.save();
+
+    res.status(200).json({
+      message: "Webhook secret replaced. Store the secret, it is not shown again.",
+      webhook: serializeWebhook(webhook, true),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Sends a `webhook.test` event right away and answers with the recorded delivery.
+exports.testWebhook = async (req, res, next) => {
+  try {
+    const webhook = await loadWebhook(req.params.webhookId);
+
+    const delivery = await webhooks.testFire(webhook);
+
+    res.status(200).json({
+      message:
+        delivery.status === "succeeded"
+          ? "Test delivery succeeded."
+          : "Test delivery failed.",
+      delivery: serializeDelivery(delivery, true),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Delivery log of a webhook, newest first. `?status=` filters by delivery status.
+exports.getDeliveries = async (req, res, next) => {
+  try {
+    assertValid(req);
+    const webhook = await loadWebhook(req.params.webhookId);
+
+    const filter = { webhook: webhook._id };
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const { items, pageInfo } = await paginate(
+      WebhookDelivery,
+      filter,
+      { createdAt: -1, _id: -1 },
+      parsePagination(req.query, 20, 100)
+    );
+
+    res.status(200).json({
+      message: "Fetched deliveries successfully!",
+      deliveries: items.map((delivery) => serializeDelivery(delivery)),
+      totalItems: pageInfo.totalItems,
+      pageInfo: pageInfo,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.getDelivery = async (req, res, next) => {
+  try {
+    const delivery = await WebhookDelivery.findOne({
+      _id: req.params.deliveryId,
+      webhook: req.params.webhookId,
+    });
+    if (!delivery) {
+      throw new NotFoundError("Could not find delivery.");
+    }
+
+    res.status(200).json({
+      message: "Fetched delivery successfully!",
+      delivery: serializeDelivery(delivery, true),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
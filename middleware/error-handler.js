@@ -0,0 +1,86 @@
+const mongoose = require("mongoose");
+
+const config = require("../config");
+const {
+  AppError,
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+} = require("../util/errors");
+
+const CODES_BY_STATUS = {
+  400: "BAD_REQUEST",
+  401: "UNAUTHORIZED",
+  403: "FORBIDDEN",
+  404: "NOT_FOUND",
+  409: "CONFLICT",
+  413: "PAYLOAD_TOO_LARGE",
+  422: "VALIDATION_FAILED",
+  429: "TOO_MANY_REQUESTS",
+};
+
+// Maps errors thrown by libraries onto the AppError hierarchy.
+const normalize = (error) => {
+  if (error instanceof AppError) {
+    return error;
+  }
+  if (error instanceof mongoose.Error.CastError) {
+    return new BadRequestError(`Invalid ${error.path}.`, undefined, "INVALID_ID");
+  }
+  if (error instanceof mongoose.Error.ValidationError) {
+    return new ValidationError(
+      "Validation failed.",
+      Object.values(error.errors).map((e) => ({
+        path: e.path,
+        msg: e.message,
+        value: e.value,
+      }))
+    );
+  }
+  // Unique index violations that the code did not handle itself.
+  if (error.code === 11000) {
+    return new ConflictError("Duplicate value.", undefined, "DUPLICATE_KEY");
+  }
+  if (error.type === "entity.parse.failed") {
+    return new BadRequestError("Malformed JSON body.", undefined, "INVALID_JSON");
+  }
+  // Client errors raised by other middleware, e.g. body-parser's 413.
+  if (error.statusCode && error.statusCode < 500) {
+    return new AppError(
+      error.message,
+      error.statusCode,
+      CODES_BY_STATUS[error.statusCode] || "ERROR",
+      error.data
+    );
+  }
+  return null;
+};
+
+// Answers unknown routes with the same error shape as everything else.
+exports.notFound = (req, res, next) => {
+  next(new NotFoundError(`Cannot ${req.method} ${req.path}.`, undefined, "ROUTE_NOT_FOUND"));
+};
+
+// Every error response has the shape { message, code, data?, requestId }.
+// Unexpected errors are logged and answered with a generic 500.
+exports.errorHandler = (error, req, res, next) => {
+  if (res.headersSent) {
+    return next(error);
+  }
+
+  let appError = normalize(error);
+  if (!appError) {
+    console.error(error);
+    appError = new AppError(
+      config.env === "production" ? "Internal server error." : error.message
+    );
+  }
+
+  res.status(appError.statusCode).json({
+    message: appError.message,
+    code: appError.code,
+    data: appError.data,
+    requestId: req.id,
+  });
+};
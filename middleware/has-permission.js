@@ -0,0 +1,19 @@
+const User = require("../models/user");
+const permissions = require("../util/permissions");
+const { ForbiddenError } = require("../util/errors");
+
+// Must run after isAuthProtected. Loads the current user into req.user.
+exports.hasPermission = (...required) => async (req, res, next) => {
+  try {
+    const user = await User.findById(req.userId);
+
+    if (!user || !required.every((p) => permissions.can(user.role, p))) {
+      throw new ForbiddenError();
+    }
+
+    req.user = user;
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
@@ -1,47 +1,100 @@
-const jwt = require('jsonwebtoken');
+const Session = require('../models/session');
+const User = require('../models/user');
+const tokens = require('../util/tokens');
+const { UnauthorizedError } = require('../util/errors');
 
-exports.isAuthProtected = (req, res, next) => {
-  const authHeader = req.get('Authorization');
-  if (!authHeader) {
-    const error = new Error('Not authenticated.');
-    error.statusCode = 401;
-    throw error;
-  }
-
-  const token = authHeader.split(' ')[1];
+// Checks an access token and sets req.userId and req.sessionId. Resolves to the user.
+const authenticate = async (req, token) => {
   let decodedToken;
 
   try {
-    decodedToken = jwt.verify(token, 'someSuperSecretiveSecret');
+    decodedToken = tokens.verifyAccessToken(token);
   } catch (err) {
-    err.statusCode = 500;
-    throw err;
+    if (err.name === 'TokenExpiredError') {
+      throw new UnauthorizedError(
+        'Token has expired.',
+        undefined,
+        'TOKEN_EXPIRED'
+      );
+    }
+    throw new UnauthorizedError('Invalid token.', undefined, 'INVALID_TOKEN');
   }
 
   if (!decodedToken) {
-    const error = new Error('Not authenticated.');
-    error.statusCode = 401;
-    throw error;
+    throw new UnauthorizedError('Not authenticated.');
+  }
+
+  const session = decodedToken.sid && (await Session.findById(decodedToken.sid));
+  if (!session || !session.isActive() || session.generation !== decodedToken.gen) {
+    throw new UnauthorizedError(
+      'Token has been revoked.',
+      undefined,
+      'TOKEN_REVOKED'
+    );
+  }
+
+  const user = await User.findById(decodedToken.userId);
+  if (!user) {
+    throw new UnauthorizedError('Not authenticated.');
+  }
+  if (user.isBlocked()) {
+    throw user.blockedError();
   }
+
   req.userId = decodedToken.userId;
-  next();
+  req.sessionId = decodedToken.sid;
+  return user;
 };
 
-exports.isAuth = (req, res, next) => {
+exports.authenticate = authenticate;
+
+// Access token of a stream request, see isAuthStream.
+exports.streamToken = (req) => {
   const authHeader = req.get('Authorization');
-  if (authHeader) {
-    const token = authHeader.split(' ')[1];
-    let decodedToken;
-    try {
-      decodedToken = jwt.verify(token, 'someSuperSecretiveSecret');
-    } catch (err) {
-      err.statusCode = 500;
-      throw err;
-    }
-    if (decodedToken) {
-      req.userId = decodedToken.userId;
-    }
+  return authHeader ? authHeader.split(' ')[1] : req.query.token;
+};
+
+exports.isAuthProtected = async (req, res, next) => {
+  const authHeader = req.get('Authorization');
+  if (!authHeader) {
+    return next(new UnauthorizedError('Not authenticated.'));
+  }
+
+  try {
+    await authenticate(req, authHeader.split(' ')[1]);
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.isAuth = async (req, res, next) => {
+  const authHeader = req.get('Authorization');
+  if (!authHeader) {
+    return next();
+  }
+
+  try {
+    await authenticate(req, authHeader.split(' ')[1]);
+    next();
+  } catch (err) {
+    next(err);
   }
-  next();
 };
 
+// Like isAuth, but also takes the access token from `?token=`, because browsers cannot set
+// headers on an EventSource. Only the event stream accepts it, since tokens in URLs tend to
+// end up in logs.
+exports.isAuthStream = async (req, res, next) => {
+  const token = exports.streamToken(req);
+  if (!token) {
+    return next();
+  }
+
+  try {
+    await authenticate(req, token);
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,12 @@
+const mongoose = require("mongoose");
+
+const { BadRequestError } = require("../util/errors");
+
+// router.param handler rejecting route parameters that are not valid ObjectIds with a 400,
+// instead of letting the lookup fail with a CastError.
+exports.objectIdParam = (req, res, next, value, name) => {
+  if (!mongoose.isValidObjectId(value)) {
+    return next(new BadRequestError(`Invalid ${name}.`, undefined, "INVALID_ID"));
+  }
+  next();
+};
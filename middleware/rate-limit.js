@@ -0,0 +1,79 @@
+const config = require("../config");
+const { TooManyRequestsError } = require("../util/errors");
+
+const stores = {
+  memory: require("../services/rate-limit-stores/memory"),
+};
+
+let store;
+
+const getStore = () => {
+  if (!store) {
+    const createStore = stores[config.rateLimit.store];
+    if (!createStore) {
+      throw new Error(`Unknown rate limit store "${config.rateLimit.store}".`);
+    }
+    store = createStore();
+  }
+  return store;
+};
+
+// Replaces the counter store. A store implements async increment(key, windowMs) resolving to
+// { count, resetAt }, plus async decrement(key) and reset(key).
+exports.setStore = (customStore) => {
+  store = customStore;
+};
+
+exports.getStore = getStore;
+
+// Limits requests to `max` per `windowMs` for every key returned by `key(req)`.
+// With `skipSuccessfulRequests` only responses with an error status count against the limit.
+exports.rateLimit = ({
+  name,
+  windowMs,
+  max,
+  key = (req) => req.ip,
+  skipSuccessfulRequests = false,
+}) => async (req, res, next) => {
+  if (!config.rateLimit.enabled) {
+    return next();
+  }
+
+  try {
+    const counterKey = `${name}:${key(req)}`;
+    const { count, resetAt } = await getStore().increment(counterKey, windowMs);
+    const resetSeconds = Math.max(0, Math.ceil((resetAt - Date.now()) / 1000));
+
+    res.setHeader("RateLimit-Limit", max);
+    res.setHeader("RateLimit-Remaining", Math.max(0, max - count));
+    res.setHeader("RateLimit-Reset", resetSeconds);
+
+    if (count > max) {
+      res.setHeader("Retry-After", resetSeconds);
+      throw new TooManyRequestsError();
+    }
+
+    if (skipSuccessfulRequests) {
+      res.on("finish", () => {
+        if (res.statusCode < 400) {
+          // Nobody awaits this, so a failing store must not become an unhandled rejection.
+          Promise.resolve()
+            .then(() => getStore().decrement(counterKey))
+            .catch((err) => console.error("Rate limit decrement failed:", err));
+        }
+      });
+    }
+
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Shared budget for all write requests under /feed, counted per user. Use after isAuthProtected.
+exports.feedWriteLimit = exports.rateLimit({
+  name: "feed:write",
+  windowMs: config.rateLimit.feedWrite.windowMs,
+  max: config.rateLimit.feedWrite.max,
+  key: (req) => req.userId || req.ip,
+});
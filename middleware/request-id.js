@@ -0,0 +1,10 @@
+const crypto = require("crypto");
+
+// Reuses a sane X-Request-Id from a proxy or generates one, and echoes it in the response.
+exports.requestId = (req, res, next) => {
+  const incoming = req.get("X-Request-Id");
+  req.id =
+    incoming && /^[\w.-]{1,100}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.setHeader("X-Request-Id", req.id);
+  next();
+};
@@ -0,0 +1,51 @@
+const multer = require("multer");
+
+const config = require("../config");
+const {
+  PayloadTooLargeError,
+  ValidationError,
+} = require("../util/errors");
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: config.uploads.maxFileSizeMb * 1024 * 1024,
+    files: config.uploads.maxAttachments + 1,
+  },
+  fileFilter: (req, file, cb) => {
+    if (!config.uploads.allowedTypes.includes(file.mimetype)) {
+      return cb(
+        new ValidationError(
+          `File type ${file.mimetype} is not allowed.`,
+          undefined,
+          "UNSUPPORTED_FILE_TYPE"
+        )
+      );
+    }
+    cb(null, true);
+  },
+});
+
+// Wraps a multer middleware so its errors become API errors like the rest of the app.
+const withStatus = (middleware) => (req, res, next) => {
+  middleware(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      return next(
+        err.code === "LIMIT_FILE_SIZE"
+          ? new PayloadTooLargeError(err.message, undefined, err.code)
+          : new ValidationError(err.message, undefined, err.code)
+      );
+    }
+    next(err);
+  });
+};
+
+// Optional cover image and attachments of a post. JSON requests pass through untouched.
+exports.uploadPostFiles = withStatus(
+  upload.fields([
+    { name: "coverImage", maxCount: 1 },
+    { name: "attachments", maxCount: config.uploads.maxAttachments },
+  ])
+);
+
+exports.uploadSingleFile = withStatus(upload.single("file"));
@@ -0,0 +1,38 @@
+const mongoose = require("mongoose");
+
+const Schema = mongoose.Schema;
+
+const attachmentSchema = new Schema(
+  {
+    owner: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Unset until the upload is used by a post.
+    post: {
+      type: Schema.Types.ObjectId,
+      ref: "Post",
+      index: true,
+    },
+    key: {
+      type: String,
+      required: true,
+    },
+    thumbnailKey: String,
+    originalName: String,
+    mimeType: {
+      type: String,
+      required: true,
+    },
+    size: {
+      type: Number,
+      required: true,
+    },
+    width: Number,
+    height: Number,
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("Attachment", attachmentSchema);
@@ -0,0 +1,34 @@
+const mongoose = require("mongoose");
+
+const Schema = mongoose.Schema;
+
+const bookmarkSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    post: {
+      type: Schema.Types.ObjectId,
+      ref: "Post",
+      required: true,
+      index: true,
+    },
+  },
+  { timestamps: true }
+);
+
+bookmarkSchema.index({ user: 1, post: 1 }, { unique: true });
+bookmarkSchema.index({ user: 1, createdAt: -1, _id: -1 });
+
+// Ids (as strings) of those `postIds` the user has bookmarked.
+bookmarkSchema.statics.postIdsOf = async function (userId, postIds) {
+  const bookmarks = await this.find(
+    { user: userId, post: { $in: postIds } },
+    "post"
+  );
+  return new Set(bookmarks.map((bookmark) => bookmark.post.toString()));
+};
+
+module.exports = mongoose.model("Bookmark", bookmarkSchema);
@@ -0,0 +1,29 @@
+const mongoose = require("mongoose");
+
+const Schema = mongoose.Schema;
+
+const categorySchema = new Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+    },
+    // Used in URLs and to filter /feed/posts, derived from the name.
+    slug: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    description: String,
+  },
+  { timestamps: true }
+);
+
+categorySchema.statics.slugify = (name) =>
+  String(name)
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+
+module.exports = mongoose.model("Category", categorySchema);
@@ -0,0 +1,45 @@
+const mongoose = require("mongoose");
+
+const Schema = mongoose.Schema;
+
+const commentSchema = new Schema(
+  {
+    content: {
+      type: String,
+      required: true,
+    },
+    post: {
+      type: Schema.Types.ObjectId,
+      ref: "Post",
+      required: true,
+      index: true,
+    },
+    author: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    parent: {
+      type: Schema.Types.ObjectId,
+      ref: "Comment",
+      default: null,
+    },
+    // All comments above this one in the thread, so a whole branch can be removed at once.
+    ancestors: [
+      {
+        type: Schema.Types.ObjectId,
+        ref: "Comment",
+        index: true,
+      },
+    ],
+    edited: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { timestamps: true }
+);
+
+commentSchema.index({ post: 1, parent: 1, createdAt: 1 });
+
+module.exports = mongoose.model("Comment", commentSchema);
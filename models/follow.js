@@ -0,0 +1,26 @@
+const mongoose = require("mongoose");
+
+const Schema = mongoose.Schema;
+
+const followSchema = new Schema(
+  {
+    follower: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    following: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// User.followerCount and User.followingCount count these documents.
+followSchema.index({ follower: 1, following: 1 }, { unique: true });
+followSchema.index({ following: 1, createdAt: -1, _id: -1 });
+followSchema.index({ follower: 1, createdAt: -1, _id: -1 });
+
+module.exports = mongoose.model("Follow", followSchema);
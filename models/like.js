@@ -0,0 +1,31 @@
+const mongoose = require("mongoose");
+
+const Schema = mongoose.Schema;
+
+const likeSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    post: {
+      type: Schema.Types.ObjectId,
+      ref: "Post",
+      required: true,
+      index: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// A user likes a post at most once; Post.likeCount counts the documents of a post.
+likeSchema.index({ user: 1, post: 1 }, { unique: true });
+
+// Ids (as strings) of those `postIds` the user has liked.
+likeSchema.statics.postIdsOf = async function (userId, postIds) {
+  const likes = await this.find({ user: userId, post: { $in: postIds } }, "post");
+  return new Set(likes.map((like) => like.post.toString()));
+};
+
+module.exports = mongoose.model("Like", likeSchema);
@@ -0,0 +1,29 @@
+const mongoose = require("mongoose");
+
+const Schema = mongoose.Schema;
+
+const moderationLogSchema = new Schema(
+  {
+    post: {
+      type: Schema.Types.ObjectId,
+      ref: "Post",
+      required: true,
+      index: true,
+    },
+    actor: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    action: {
+      type: String,
+      required: true,
+    },
+    fromStatus: String,
+    toStatus: String,
+    reason: String,
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("ModerationLog", moderationLogSchema);
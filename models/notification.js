@@ -0,0 +1,44 @@
+const mongoose = require("mongoose");
+
+const Schema = mongoose.Schema;
+
+const notificationSchema = new Schema(
+  {
+    // The recipient.
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // One of the event names of services/events.js.
+    type: {
+      type: String,
+      required: true,
+    },
+    // Who caused the event, unset for events of the system such as automatic promotions.
+    actor: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+    post: {
+      type: Schema.Types.ObjectId,
+      ref: "Post",
+    },
+    // Details of the event kept with the notification, e.g. the post title or the new role,
+    // so it still reads well after the post changed.
+    data: {
+      type: Schema.Types.Mixed,
+      default: {},
+    },
+    readAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+notificationSchema.index({ user: 1, createdAt: -1, _id: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+
+module.exports = mongoose.model("Notification", notificationSchema);
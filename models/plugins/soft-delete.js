@@ -0,0 +1,72 @@
+const mongoose = require("mongoose");
+
+// Soft deletion for a schema: deleted documents keep their data but get `deletedAt` and
+// `deletedBy`, and every query leaves them out. A query sees deleted documents when it
+// filters on `deletedAt` itself (e.g. `{ deletedAt: { $ne: null } }` for the trash) or is
+// run with `.setOptions({ withDeleted: true })`. Deletes are never filtered, so
+// `deleteOne`/`deleteMany` still remove documents for good.
+
+const QUERIES = [
+  "countDocuments",
+  "distinct",
+  "find",
+  "findOne",
+  "findOneAndUpdate",
+  "updateMany",
+  "updateOne",
+];
+
+const mentionsDeletedAt = (filter) =>
+  !!filter &&
+  ("deletedAt" in filter ||
+    (Array.isArray(filter.$and) && filter.$and.some(mentionsDeletedAt)));
+
+module.exports = (schema) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null,
+      index: true,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  });
+
+  schema.pre(QUERIES, function () {
+    const options = this.getOptions();
+    if (options.withDeleted) {
+      // Mongoose would hand the unknown option on to the driver.
+      delete options.withDeleted;
+      return;
+    }
+    if (!mentionsDeletedAt(this.getFilter())) {
+      this.where({ deletedAt: null });
+    }
+  });
+
+  schema.pre("aggregate", function () {
+    if (this.options.withDeleted) {
+      delete this.options.withDeleted;
+      return;
+    }
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  });
+
+  schema.methods.isDeleted = function () {
+    return !!this.deletedAt;
+  };
+
+  schema.methods.softDelete = function (userId, at = new Date()) {
+    this.deletedAt = at;
+    this.deletedBy = userId;
+    return this.save();
+  };
+
+  schema.methods.restore = function () {
+    this.deletedAt = null;
+    this.deletedBy = undefined;
+    return this.save();
+  };
+};
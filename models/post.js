@@ -1,28 +1,197 @@
 const mongoose = require("mongoose");
 
+const softDelete = require("./plugins/soft-delete");
+const markdown = require("../util/markdown");
+const { ConflictError } = require("../util/errors");
+
 const Schema = mongoose.Schema;
 
+const STATUSES = ["draft", "pending", "approved", "rejected", "unpublished"];
+
+// Moderation actions and the statuses they are allowed from.
+const TRANSITIONS = {
+  submit: { from: ["draft", "rejected", "unpublished"], to: "pending" },
+  approve: { from: ["pending", "rejected", "unpublished"], to: "approved" },
+  reject: { from: ["pending"], to: "rejected" },
+  "request-changes": { from: ["pending"], to: "draft" },
+  unpublish: { from: ["approved"], to: "unpublished" },
+  edit: { from: ["approved", "rejected", "unpublished"], to: "pending" },
+};
+
+// Fields whose changes set `editedAt`.
+const EDIT_FIELDS = ["title", "content", "tags", "category", "author", "publishedAt"];
+
 const postSchema = new Schema(
   {
     title: {
       type: String,
       required: true,
     },
+    // Markdown source, cleaned of raw HTML and unsafe links on every save (util/markdown.js).
+    // The fields below are derived from it.
     content: {
       type: String,
       required: true,
     },
+    // Sanitized HTML of the content.
+    contentHtml: String,
+    // Plain-text start of the content.
+    excerpt: String,
+    // Estimated reading time in minutes.
+    readingTime: Number,
+    // True while the post is publicly visible: approved and, if scheduled, due.
     allowed: {
       type: Boolean,
       default: false,
     },
+    status: {
+      type: String,
+      enum: STATUSES,
+      // Posts stored before the status field existed only have the "allowed" flag. The
+      // default covers them once loaded; Post.backfillStatus stores it for queries.
+      default: function () {
+        return this.allowed ? "approved" : "pending";
+      },
+      index: true,
+    },
     author: {
       type: Schema.Types.ObjectId,
       ref: 'User',
       required: true,
     },
+    coverImage: {
+      type: Schema.Types.ObjectId,
+      ref: "Attachment",
+    },
+    attachments: [
+      {
+        type: Schema.Types.ObjectId,
+        ref: "Attachment",
+      },
+    ],
+    // An approved post stays hidden until this time; services/scheduler.js publishes it.
+    publishAt: {
+      type: Date,
+      index: true,
+    },
+    // Set when the post first goes live.
+    publishedAt: Date,
+    // Last change of what feeds show of the post. Unlike `updatedAt` it ignores moderation
+    // and counters, so views and likes do not make feed readers download again.
+    editedAt: Date,
+    // Normalized with util/tags.js.
+    tags: {
+      type: [String],
+      index: true,
+    },
+    category: {
+      type: Schema.Types.ObjectId,
+      ref: "Category",
+      index: true,
+    },
+    // Counters kept in sync by the like and view endpoints.
+    likeCount: {
+      type: Number,
+      default: 0,
+    },
+    viewCount: {
+      type: Number,
+      default: 0,
+    },
   },
   { timestamps: true }
 );
 
-module.exports = mongoose.model("Post", postSchema);
+postSchema.index(
+  { title: "text", content: "text" },
+  { weights: { title: 3 }, name: "post_text_search" }
+);
+
+postSchema.index({ author: 1, createdAt: -1, _id: -1 });
+postSchema.index({ publishedAt: -1, _id: -1 });
+postSchema.index({ likeCount: -1, _id: -1 });
+postSchema.index({ likeCount: -1, createdAt: -1, _id: -1 });
+
+postSchema.pre("validate", function (next) {
+  if (this.isModified("content") || this.contentHtml == null) {
+    Object.assign(this, markdown.renderContent(this.content));
+  }
+  next();
+});
+
+postSchema.pre("save", function (next) {
+  this.allowed = this.status === "approved" && !this.isScheduled();
+  if (this.allowed && !this.publishedAt) {
+    this.publishedAt = new Date();
+  }
+  if (this.isNew || this.isModified(EDIT_FIELDS)) {
+    this.editedAt = new Date();
+  }
+  next();
+});
+
+// Whether the post has a publish time in the future.
+postSchema.methods.isScheduled = function () {
+  return !!this.publishAt && this.publishAt > new Date();
+};
+
+postSchema.methods.canTransition = function (action) {
+  const transition = TRANSITIONS[action];
+  return !!transition && transition.from.includes(this.status);
+};
+
+postSchema.methods.transition = function (action) {
+  if (!this.canTransition(action)) {
+    throw new ConflictError(
+      `Cannot ${action} a post with status "${this.status}".`,
+      undefined,
+      "INVALID_TRANSITION"
+    );
+  }
+  const fromStatus = this.status;
+  this.status = TRANSITIONS[action].to;
+  return { fromStatus: fromStatus, toStatus: this.status };
+};
+
+postSchema.plugin(softDelete);
+
+const Post = mongoose.model("Post", postSchema);
+
+Post.STATUSES = STATUSES;
+
+// Stores the status of posts saved before the field existed, so queries by status find them.
+// Runs at startup and resolves to the number of updated posts.
+Post.backfillStatus = async () => {
+  const result = await Post.updateMany(
+    { status: { $exists: false } },
+    [{ $set: { status: { $cond: ["$allowed", "approved", "pending"] } } }],
+    { timestamps: false }
+  ).setOptions({ withDeleted: true });
+  return result.modifiedCount;
+};
+
+// Makes approved posts whose publish time has come visible. Resolves to the published posts.
+Post.publishDue = async (now = new Date()) => {
+  const due = await Post.find({
+    status: "approved",
+    allowed: false,
+    publishAt: { $lte: now },
+  });
+  const published = [];
+  for (const post of due) {
+    // Conditional update, so a post is published once even with several app instances.
+    const result = await Post.updateOne(
+      { _id: post._id, allowed: false },
+      { allowed: true, publishedAt: post.publishAt, editedAt: now }
+    );
+    if (result.modifiedCount > 0) {
+      post.allowed = true;
+      post.publishedAt = post.publishAt;
+      post.editedAt = now;
+      published.push(post);
+    }
+  }
+  return published;
+};
+
+module.exports = Post;
@@ -0,0 +1,86 @@
+const mongoose = require("mongoose");
+
+const { ConflictError } = require("../util/errors");
+
+const Schema = mongoose.Schema;
+
+const DUPLICATE_KEY = 11000;
+const MAX_RECORD_ATTEMPTS = 5;
+
+// A snapshot of the editable fields of a post, taken right before it was changed.
+// Revisions of a post are numbered from 1 in the order they were taken.
+const revisionSchema = new Schema(
+  {
+    post: {
+      type: Schema.Types.ObjectId,
+      ref: "Post",
+      required: true,
+    },
+    number: {
+      type: Number,
+      required: true,
+    },
+    // The user whose edit replaced this version.
+    editor: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    title: {
+      type: String,
+      required: true,
+    },
+    content: {
+      type: String,
+      required: true,
+    },
+    tags: [String],
+    category: {
+      type: Schema.Types.ObjectId,
+      ref: "Category",
+    },
+  },
+  { timestamps: true }
+);
+
+revisionSchema.index({ post: 1, number: -1 }, { unique: true });
+
+// The editable fields of `post` as they are before an edit. The edit records them with
+// Revision.record once it has been saved, so failed edits leave no revision behind.
+revisionSchema.statics.snapshot = (post) => ({
+  post: post._id,
+  title: post.title,
+  content: post.content,
+  tags: [...(post.tags || [])],
+  category: post.category,
+});
+
+// Stores a snapshot as the next revision of its post, replaced by `editorId`. Concurrent
+// edits can pick the same number; the insert is then retried with the next free one.
+revisionSchema.statics.record = async function (snapshot, editorId) {
+  for (let attempt = 1; ; attempt++) {
+    const last = await this.findOne({ post: snapshot.post }, "number").sort({
+      number: -1,
+    });
+    try {
+      return await this.create({
+        ...snapshot,
+        number: last ? last.number + 1 : 1,
+        editor: editorId,
+      });
+    } catch (err) {
+      if (err.code !== DUPLICATE_KEY) {
+        throw err;
+      }
+      if (attempt >= MAX_RECORD_ATTEMPTS) {
+        throw new ConflictError(
+          "The post is being edited concurrently, please try again.",
+          undefined,
+          "EDIT_CONFLICT"
+        );
+      }
+    }
+  }
+};
+
+module.exports = mongoose.model("Revision", revisionSchema);
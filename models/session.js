@@ -0,0 +1,43 @@
+const mongoose = require("mongoose");
+
+const Schema = mongoose.Schema;
+
+const sessionSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    device: {
+      type: String,
+      default: "unknown",
+    },
+    refreshTokenHash: {
+      type: String,
+      required: true,
+    },
+    // Bumped on every refresh so access tokens issued before the rotation stop working.
+    generation: {
+      type: Number,
+      default: 0,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    lastUsedAt: Date,
+    revokedAt: Date,
+    revokedReason: String,
+  },
+  { timestamps: true }
+);
+
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model("Session", sessionSchema);
@@ -0,0 +1,71 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+
+const { hashToken } = require("../util/tokens");
+
+const Schema = mongoose.Schema;
+
+const TYPES = ["email-verification", "password-reset"];
+
+// Single-use tokens sent to users by email. Only the hash of the token is stored.
+const userTokenSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    type: {
+      type: String,
+      enum: TYPES,
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: Date,
+  },
+  { timestamps: true }
+);
+
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Creates a token of `type` for `userId`, replacing unused ones of the same type, and returns the raw value.
+userTokenSchema.statics.issue = async function (userId, type, ttlMinutes) {
+  await this.deleteMany({ user: userId, type: type, usedAt: null });
+
+  const token = crypto.randomBytes(32).toString("hex");
+  await this.create({
+    user: userId,
+    type: type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000),
+  });
+  return token;
+};
+
+// Marks a valid token as used and returns it, or returns null if it is unknown, expired or used.
+userTokenSchema.statics.consume = function (token, type) {
+  if (typeof token !== "string" || !token) {
+    return Promise.resolve(null);
+  }
+  return this.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      type: type,
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { usedAt: new Date() },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model("UserToken", userTokenSchema);
@@ -1,7 +1,13 @@
 const mongoose = require("mongoose");
 
+const softDelete = require("./plugins/soft-delete");
+const permissions = require("../util/permissions");
+const { ForbiddenError } = require("../util/errors");
+
 const Schema = mongoose.Schema;
 
+const STATUSES = ["active", "deactivated", "banned"];
+
 const userSchema = new Schema({
   firstName: {
     type: String,
@@ -19,9 +25,12 @@ const userSchema = new Schema({
     type: String,
     required: true,
   },
+  // Left unset for accounts created before email verification existed; those count as verified.
+  emailVerified: Boolean,
   role: {
     type: String,
-    default: "USER",
+    enum: permissions.ROLES,
+    default: permissions.DEFAULT_ROLE,
   },
   posts: [
     {
@@ -29,6 +38,61 @@ const userSchema = new Schema({
       ref: "Post",
     },
   ],
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: "active",
+  },
+  statusReason: String,
+  // A deactivation or ban without an expiry date lasts until an admin lifts it.
+  statusExpiresAt: Date,
+  statusChangedBy: {
+    type: Schema.Types.ObjectId,
+    ref: "User",
+  },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0,
+  },
+  lockUntil: Date,
+  // Counters kept in sync by services/follows.js.
+  followerCount: {
+    type: Number,
+    default: 0,
+  },
+  followingCount: {
+    type: Number,
+    default: 0,
+  },
+  // Notification types the user does not want to receive, see services/notifications.js.
+  mutedNotifications: [String],
 });
 
-module.exports = mongoose.model("User", userSchema);
+userSchema.methods.isLocked = function () {
+  return !!this.lockUntil && this.lockUntil > new Date();
+};
+
+userSchema.methods.isBlocked = function () {
+  if (!this.status || this.status === "active") {
+    return false;
+  }
+  return !this.statusExpiresAt || this.statusExpiresAt > new Date();
+};
+
+userSchema.methods.blockedError = function () {
+  return new ForbiddenError(
+    this.status === "banned"
+      ? "This account has been banned."
+      : "This account has been deactivated.",
+    { reason: this.statusReason, expiresAt: this.statusExpiresAt },
+    this.status === "banned" ? "ACCOUNT_BANNED" : "ACCOUNT_DEACTIVATED"
+  );
+};
+
+userSchema.plugin(softDelete);
+
+const User = mongoose.model("User", userSchema);
+
+User.STATUSES = STATUSES;
+
+module.exports = User;
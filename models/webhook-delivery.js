@@ -0,0 +1,51 @@
+const mongoose = require("mongoose");
+
+const Schema = mongoose.Schema;
+
+const STATUSES = ["pending", "succeeded", "failed"];
+
+// One event sent to one webhook, with the outcome of the last attempt. Pending deliveries
+// are retried by services/webhooks.js until they succeed or run out of attempts.
+const webhookDeliverySchema = new Schema(
+  {
+    webhook: {
+      type: Schema.Types.ObjectId,
+      ref: "Webhook",
+      required: true,
+    },
+    event: {
+      type: String,
+      required: true,
+    },
+    payload: {
+      type: Schema.Types.Mixed,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: STATUSES,
+      default: "pending",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    nextAttemptAt: Date,
+    lastAttemptAt: Date,
+    deliveredAt: Date,
+    // HTTP status of the last response, unset when the request failed before that.
+    responseStatus: Number,
+    // Network error or the start of the response body of the last failed attempt.
+    error: String,
+  },
+  { timestamps: true }
+);
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1, _id: -1 });
+
+const WebhookDelivery = mongoose.model("WebhookDelivery", webhookDeliverySchema);
+
+WebhookDelivery.STATUSES = STATUSES;
+
+module.exports = WebhookDelivery;
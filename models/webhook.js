@@ -0,0 +1,36 @@
+const mongoose = require("mongoose");
+
+const Schema = mongoose.Schema;
+
+const webhookSchema = new Schema(
+  {
+    url: {
+      type: String,
+      required: true,
+    },
+    // Event names of services/webhooks.js the endpoint receives.
+    events: {
+      type: [String],
+      required: true,
+    },
+    // Key of the HMAC signature of every delivery, only shown when the webhook is created.
+    secret: {
+      type: String,
+      required: true,
+    },
+    description: String,
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+webhookSchema.index({ active: 1, events: 1 });
+
+module.exports = mongoose.model("Webhook", webhookSchema);
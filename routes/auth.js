@@ -4,6 +4,11 @@ const { body } = require("express-validator");
 
 const User = require("../models/user");
 const authController = require("../controllers/auth");
+const authentication = require("../middleware/is-auth");
+const { rateLimit } = require("../middleware/rate-limit");
+const config = require("../config");
+
+const limits = config.rateLimit;
 
 const router = express.Router();
 
@@ -12,7 +17,7 @@ const router = express.Router();
  * /auth/register:
  *   put:
  *     summary: Register a new user
- *     description: Registers a new user with the provided email and password.
+ *     description: Registers a new user with the provided email and password and sends an email with a verification token.
  *     tags:
  *       - Auth
  *     requestBody:
@@ -33,21 +38,31 @@ const router = express.Router();
  *         description: User registration successful
  *       422:
  *         description: Validation failed.
+ *       429:
+ *         description: Too many registrations from this IP address.
  *       500:
  *         description: Internal server error.
  */
 router.put(
   "/register",
+  rateLimit({
+    name: "register:ip",
+    windowMs: limits.register.windowMs,
+    max: limits.register.maxPerIp,
+  }),
   [
     body("email")
       .isEmail()
       .withMessage("Please enter a valid email.")
       .custom((value, { req }) => {
-        return User.findOne({ email: value }).then((userDocument) => {
-          if (userDocument) {
-            return Promise.reject("E-Mail address already exists");
-          }
-        });
+        // Deleted users keep their address until they are purged.
+        return User.findOne({ email: value })
+          .setOptions({ withDeleted: true })
+          .then((userDocument) => {
+            if (userDocument) {
+              return Promise.reject("E-Mail address already exists");
+            }
+          });
       })
       .normalizeEmail(),
     body("password").trim().isLength({ min: 5 }),
@@ -76,6 +91,9 @@ router.put(
  *               password:
  *                 type: string
  *                 format: password
+ *               device:
+ *                 type: string
+ *                 description: Optional device label for the session. Defaults to the User-Agent.
  *     responses:
  *       200:
  *         description: User login successful
@@ -86,13 +104,248 @@ router.put(
  *               properties:
  *                 token:
  *                   type: string
+ *                 refreshToken:
+ *                   type: string
  *                 userId:
  *                   type: string
  *       401:
- *         description: Wrong password
+ *         description: Invalid email or password
+ *       403:
+ *         description: Account is deactivated or banned, or the email address is not verified yet
+ *       422:
+ *         description: Validation failed.
+ *       429:
+ *         description: Too many attempts from this IP address or for this account
+ *       500:
+ *         description: Internal server error
+ */
+router.post(
+  "/login",
+  rateLimit({
+    name: "login:ip",
+    windowMs: limits.login.windowMs,
+    max: limits.login.maxPerIp,
+  }),
+  [body("email").isEmail().normalizeEmail(), body("password").isString()],
+  rateLimit({
+    name: "login:account",
+    windowMs: limits.login.windowMs,
+    max: limits.login.maxPerAccount,
+    key: (req) => String(req.body.email).trim().toLowerCase(),
+    skipSuccessfulRequests: true,
+  }),
+  authController.login
+);
+
+/**
+ * @swagger
+ * /auth/refresh:
+ *   post:
+ *     summary: Refresh access token
+ *     description: Exchanges a refresh token for a new access token and a new refresh token. The old refresh token stops working; replaying it revokes the session.
+ *     tags:
+ *       - Auth
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Tokens refreshed
+ *       401:
+ *         description: Invalid refresh token
+ *       500:
+ *         description: Internal server error
+ */
+router.post("/refresh", authController.refresh);
+
+/**
+ * @swagger
+ * /auth/logout:
+ *   post:
+ *     summary: Logout
+ *     description: Revokes the session of the access token used for the request.
+ *     tags:
+ *       - Auth
+ *     responses:
+ *       200:
+ *         description: Logged out
+ *       401:
+ *         description: Not authenticated
+ *       500:
+ *         description: Internal server error
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post("/logout", authentication.isAuthProtected, authController.logout);
+
+/**
+ * @swagger
+ * /auth/logout-all:
+ *   post:
+ *     summary: Logout everywhere
+ *     description: Revokes every session of the current user on all devices.
+ *     tags:
+ *       - Auth
+ *     responses:
+ *       200:
+ *         description: Logged out from all devices
+ *       401:
+ *         description: Not authenticated
+ *       500:
+ *         description: Internal server error
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post(
+  "/logout-all",
+  authentication.isAuthProtected,
+  authController.logoutAll
+);
+
+/**
+ * @swagger
+ * /auth/verify-email:
+ *   post:
+ *     summary: Verify email address
+ *     description: Confirms the email address with the token sent after registration. Each token can be used once.
+ *     tags:
+ *       - Auth
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email address verified
+ *       400:
+ *         description: Invalid or expired verification token
+ *       500:
+ *         description: Internal server error
+ */
+router.post("/verify-email", authController.verifyEmail);
+
+// One budget per IP for every endpoint that sends mail, so nobody can flood an inbox.
+const mailLimit = rateLimit({
+  name: "mail:ip",
+  windowMs: limits.mail.windowMs,
+  max: limits.mail.maxPerIp,
+});
+
+/**
+ * @swagger
+ * /auth/resend-verification:
+ *   post:
+ *     summary: Resend verification email
+ *     description: Sends a new verification email if the address belongs to an unverified account. The response does not reveal whether it does.
+ *     tags:
+ *       - Auth
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Request accepted
+ *       422:
+ *         description: Validation failed
+ *       429:
+ *         description: Too many mail requests from this IP address
  *       500:
  *         description: Internal server error
  */
-router.post("/login", authController.login);
+router.post(
+  "/resend-verification",
+  mailLimit,
+  [body("email").isEmail().normalizeEmail()],
+  authController.resendVerification
+);
+
+/**
+ * @swagger
+ * /auth/forgot-password:
+ *   post:
+ *     summary: Request password reset
+ *     description: Sends a password reset email with a single-use token if an account exists for the address. The response does not reveal whether it does.
+ *     tags:
+ *       - Auth
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Request accepted
+ *       422:
+ *         description: Validation failed
+ *       429:
+ *         description: Too many mail requests from this IP address
+ *       500:
+ *         description: Internal server error
+ */
+router.post(
+  "/forgot-password",
+  mailLimit,
+  [body("email").isEmail().normalizeEmail()],
+  authController.forgotPassword
+);
+
+/**
+ * @swagger
+ * /auth/reset-password:
+ *   post:
+ *     summary: Reset password
+ *     description: Sets a new password using the token from the reset email. The token can be used once and all sessions of the user are logged out.
+ *     tags:
+ *       - Auth
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 format: password
+ *     responses:
+ *       200:
+ *         description: Password has been reset
+ *       400:
+ *         description: Invalid or expired reset token
+ *       422:
+ *         description: Validation failed
+ *       500:
+ *         description: Internal server error
+ */
+router.post(
+  "/reset-password",
+  [body("token").notEmpty(), body("password").trim().isLength({ min: 5 })],
+  authController.resetPassword
+);
 
 module.exports = router;
@@ -0,0 +1,156 @@
+const express = require("express");
+const { body } = require("express-validator");
+
+const categoryController = require("../controllers/category");
+const authentication = require("../middleware/is-auth");
+const { hasPermission } = require("../middleware/has-permission");
+const { objectIdParam } = require("../middleware/object-id");
+
+const router = express.Router();
+
+router.param("categoryId", objectIdParam);
+
+/**
+ * @swagger
+ * /feed/categories:
+ *   get:
+ *     summary: List categories
+ *     description: All categories sorted by name, each with the number of published posts (`postCount`).
+ *     tags:
+ *       - Categories
+ *     responses:
+ *       200:
+ *         description: Successful operation
+ *       500:
+ *         description: Internal server error
+ */
+router.get("/", categoryController.getCategories);
+
+/**
+ * @swagger
+ * /feed/categories:
+ *   post:
+ *     summary: Create a category
+ *     description: Requires the `category:manage` permission. The slug is derived from the name.
+ *     tags:
+ *       - Categories
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Category created
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       409:
+ *         description: A category with the same slug exists
+ *       422:
+ *         description: Validation failed
+ *       500:
+ *         description: Internal server error
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post(
+  "/",
+  [
+    body("name").trim().isLength({ min: 2, max: 50 }),
+    body("description").optional().trim().isLength({ max: 500 }),
+  ],
+  authentication.isAuthProtected,
+  hasPermission("category:manage"),
+  categoryController.createCategory
+);
+
+/**
+ * @swagger
+ * /feed/categories/{categoryId}:
+ *   put:
+ *     summary: Update a category
+ *     description: Requires the `category:manage` permission. Renaming changes the slug.
+ *     tags:
+ *       - Categories
+ *     parameters:
+ *       - in: path
+ *         name: categoryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Category updated
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Category not found
+ *       409:
+ *         description: A category with the same slug exists
+ *       422:
+ *         description: Validation failed
+ *       500:
+ *         description: Internal server error
+ *     security:
+ *       - bearerAuth: []
+ *   delete:
+ *     summary: Delete a category
+ *     description: Requires the `category:manage` permission. Posts of the category become uncategorized.
+ *     tags:
+ *       - Categories
+ *     parameters:
+ *       - in: path
+ *         name: categoryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Category deleted
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Category not found
+ *       500:
+ *         description: Internal server error
+ *     security:
+ *       - bearerAuth: []
+ */
+router.put(
+  "/:categoryId",
+  [
+    body("name").optional().trim().isLength({ min: 2, max: 50 }),
+    body("description").optional().trim().isLength({ max: 500 }),
+  ],
+  authentication.isAuthProtected,
+  hasPermission("category:manage"),
+  categoryController.updateCategory
+);
+
+router.delete(
+  "/:categoryId",
+  authentication.isAuthProtected,
+  hasPermission("category:manage"),
+  categoryController.deleteCategory
+);
+
+module.exports = router;
@@ -0,0 +1,262 @@
+const express = require("express");
+const { body, query } = require("express-validator");
+
+const commentController = require("../controllers/comment");
+const authentication = require("../middleware/is-auth");
+const { feedWriteLimit } = require("../middleware/rate-limit");
+const { hasPermission } = require("../middleware/has-permission");
+const { objectIdParam } = require("../middleware/object-id");
+const { paginationRules } = require("../util/pagination");
+
+const router = express.Router({ mergeParams: true });
+
+router.param("commentId", objectIdParam);
+
+/**
+ * @swagger
+ * /feed/post/{postId}/comments:
+ *   get:
+ *     summary: Get comments of a post
+ *     description: |
+ *       Fetches comments of a post, oldest first.
+ *       - Without `parent` only top-level comments are returned, with `parent` the replies to that comment.
+ *       - Comments follow the visibility of the post: comments on posts that are not allowed are only visible to the post author and admins.
+ *     tags:
+ *       - Comments
+ *     parameters:
+ *       - in: path
+ *         name: postId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: parent
+ *         description: ID of the comment whose replies should be listed
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         description: Items per page, 10 by default and at most 50
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: after
+ *         description: Cursor from `pageInfo.nextCursor` to fetch the next page
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: before
+ *         description: Cursor from `pageInfo.prevCursor` to fetch the previous page
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         description: Legacy page number, use the cursors instead
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Successful operation
+ *       404:
+ *         description: Post not found
+ *       422:
+ *         description: Invalid pagination parameters or parent id
+ *       500:
+ *         description: Internal server error
+ */
+router.get(
+  "/",
+  [
+    query("parent").optional().isMongoId().withMessage("Invalid comment id."),
+    ...paginationRules(50),
+  ],
+  authentication.isAuth,
+  commentController.getComments
+);
+
+/**
+ * @swagger
+ * /feed/post/{postId}/comments:
+ *   post:
+ *     summary: Comment on a post
+ *     description: Creates a top-level comment on a post visible to the current user.
+ *     tags:
+ *       - Comments
+ *     parameters:
+ *       - in: path
+ *         name: postId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               content:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Comment created
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: Post not found
+ *       422:
+ *         description: Validation failed
+ *       500:
+ *         description: Internal server error
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post(
+  "/",
+  [body("content").trim().isLength({ min: 1, max: 2000 })],
+  authentication.isAuthProtected,
+  feedWriteLimit,
+  hasPermission("comment:create"),
+  commentController.createComment
+);
+
+/**
+ * @swagger
+ * /feed/post/{postId}/comments/{commentId}/replies:
+ *   post:
+ *     summary: Reply to a comment
+ *     description: Creates a reply to an existing comment of the post.
+ *     tags:
+ *       - Comments
+ *     parameters:
+ *       - in: path
+ *         name: postId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               content:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Reply created
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: Post or comment not found
+ *       422:
+ *         description: Validation failed
+ *       500:
+ *         description: Internal server error
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post(
+  "/:commentId/replies",
+  [body("content").trim().isLength({ min: 1, max: 2000 })],
+  authentication.isAuthProtected,
+  feedWriteLimit,
+  hasPermission("comment:create"),
+  commentController.createComment
+);
+
+/**
+ * @swagger
+ * /feed/post/{postId}/comments/{commentId}:
+ *   put:
+ *     summary: Edit a comment
+ *     description: Updates the content of a comment. Only the comment author can edit it.
+ *     tags:
+ *       - Comments
+ *     parameters:
+ *       - in: path
+ *         name: postId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               content:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Comment updated
+ *       403:
+ *         description: Not the comment author
+ *       404:
+ *         description: Post or comment not found
+ *       422:
+ *         description: Validation failed
+ *       500:
+ *         description: Internal server error
+ *     security:
+ *       - bearerAuth: []
+ */
+router.put(
+  "/:commentId",
+  [body("content").trim().isLength({ min: 1, max: 2000 })],
+  authentication.isAuthProtected,
+  feedWriteLimit,
+  commentController.updateComment
+);
+
+/**
+ * @swagger
+ * /feed/post/{postId}/comments/{commentId}:
+ *   delete:
+ *     summary: Delete a comment
+ *     description: Deletes a comment together with all replies below it. Allowed for the comment author, the post author and users with the `comment:moderate` permission.
+ *     tags:
+ *       - Comments
+ *     parameters:
+ *       - in: path
+ *         name: postId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Comment deleted
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Post or comment not found
+ *       500:
+ *         description: Internal server error
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete(
+  "/:commentId",
+  authentication.isAuthProtected,
+  feedWriteLimit,
+  commentController.deleteComment
+);
+
+module.exports = router;
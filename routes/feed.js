@@ -1,11 +1,64 @@
 const express = require("express");
-const { body } = require("express-validator");
+const mongoose = require("mongoose");
+const { body, query } = require("express-validator");
 
+const Post = require("../models/post");
+const Category = require("../models/category");
 const feedController = require("../controllers/feed");
+const reactionController = require("../controllers/reaction");
+const streamController = require("../controllers/stream");
+const syndicationController = require("../controllers/syndication");
+const { parseIds } = require("../services/attachments");
 const authentication = require("../middleware/is-auth");
+const { feedWriteLimit } = require("../middleware/rate-limit");
+const { uploadPostFiles, uploadSingleFile } = require("../middleware/upload");
+const { paginationRules } = require("../util/pagination");
+const { MAX_TAGS, normalizeTags } = require("../util/tags");
+const { MAX_CONTENT_LENGTH } = require("../util/markdown");
+const { hasPermission } = require("../middleware/has-permission");
+const { objectIdParam } = require("../middleware/object-id");
+const commentRoutes = require("./comment");
+const categoryRoutes = require("./category");
+const revisionRoutes = require("./revision");
+const trashRoutes = require("./trash");
 
 const router = express.Router();
 
+// A future publish time; empty values remove the schedule.
+const publishAtRule = () =>
+  body("publishAt")
+    .optional({ values: "falsy" })
+    .isISO8601()
+    .bail()
+    .custom((value) => new Date(value) > new Date())
+    .withMessage("publishAt must be in the future.");
+
+// Validation of the tags, category and publish time of a post, shared by create and update.
+const classificationRules = () => [
+  publishAtRule(),
+  body("tags")
+    .optional()
+    .custom((value) => normalizeTags(value).length <= MAX_TAGS)
+    .withMessage(`At most ${MAX_TAGS} tags are allowed.`),
+  body("category")
+    .optional({ values: "falsy" })
+    .isMongoId()
+    .bail()
+    .custom(async (value) => {
+      if (!(await Category.exists({ _id: value }))) {
+        throw new Error("Could not find category.");
+      }
+    }),
+];
+
+router.param("postId", objectIdParam);
+router.param("userId", objectIdParam);
+
+router.use("/post/:postId/comments", commentRoutes);
+router.use("/post/:postId/revisions", revisionRoutes);
+router.use("/categories", categoryRoutes);
+router.use("/trash", trashRoutes);
+
 /**
  * @swagger
  * /feed/posts:
@@ -14,34 +67,340 @@ const router = express.Router();
  *     description: |
  *       Retrieve a list of posts based on user access and role.
  *       - Unauthenticated users can view public posts (where the `allowed` flag is true).
- *       - Authenticated bloggers can view their own posts.
- *       - Authenticated admins can view all posts.
+ *       - Authenticated users with the `feed:own` permission (bloggers) can view their own posts.
+ *       - Authenticated users with the `post:read:any` permission (moderators, admins) can view all posts.
+ *
+ *       Search and filter parameters only narrow down the posts the caller is allowed to see.
+ *     tags:
+ *       - Feed
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         description: Full-text search over title and content
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: author
+ *         description: ID of the author
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, pending, approved, rejected, unpublished]
+ *       - in: query
+ *         name: tag
+ *         description: Only posts with this tag
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: category
+ *         description: Only posts of this category, given by id or slug
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         description: Only posts created at or after this date
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         description: Only posts created at or before this date
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: sort
+ *         description: |
+ *           `most-liked` orders by like count, `trending` shows the most liked posts
+ *           created in the last `TRENDING_WINDOW_DAYS` days (7 by default).
+ *         schema:
+ *           type: string
+ *           enum: [newest, oldest, title, most-liked, trending]
+ *           default: newest
+ *       - in: query
+ *         name: limit
+ *         description: Items per page, 4 by default and at most 50
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: after
+ *         description: Cursor from `pageInfo.nextCursor` to fetch the next page
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: before
+ *         description: Cursor from `pageInfo.prevCursor` to fetch the previous page
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: Successful operation. An empty page is returned with an empty `posts` array.
+ *       '422':
+ *         description: Invalid search or pagination parameters
+ *       '500':
+ *         description: Internal server error
+ */
+router.get(
+  "/posts",
+  [
+    query("q").optional().isString().trim().isLength({ max: 200 }),
+    query("author").optional().isMongoId(),
+    query("status").optional().isIn(Post.STATUSES),
+    query("tag").optional().isString().trim().notEmpty(),
+    query("category").optional().isString().trim().notEmpty(),
+    query("from").optional().isISO8601(),
+    query("to").optional().isISO8601(),
+    query("sort")
+      .optional()
+      .isIn(["newest", "oldest", "title", "most-liked", "trending"]),
+    ...paginationRules(50),
+  ],
+  authentication.isAuth,
+  feedController.getPosts
+);
+
+/**
+ * @swagger
+ * /feed/tags:
+ *   get:
+ *     summary: List tags
+ *     description: Tags of the posts the caller can see with their number of posts, most used first.
  *     tags:
  *       - Feed
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         description: Number of tags, 50 by default and at most 200
+ *         schema:
+ *           type: integer
  *     responses:
  *       '200':
  *         description: Successful operation
+ *       '422':
+ *         description: Invalid limit
+ *       '500':
+ *         description: Internal server error
+ */
+router.get(
+  "/tags",
+  [query("limit").optional().isInt({ min: 1, max: 200 })],
+  authentication.isAuth,
+  feedController.getTags
+);
+
+/**
+ * @swagger
+ * /feed/home:
+ *   get:
+ *     summary: Home feed
+ *     description: Allowed posts of the authors the current user follows, newest first.
+ *     tags:
+ *       - Feed
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         description: Items per page, 10 by default and at most 50
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: after
+ *         description: Cursor from `pageInfo.nextCursor` to fetch the next page
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: before
+ *         description: Cursor from `pageInfo.prevCursor` to fetch the previous page
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: Successful operation. Without followed authors the `posts` array is empty.
+ *       '401':
+ *         description: Not authenticated
+ *       '422':
+ *         description: Invalid pagination parameters
+ *       '500':
+ *         description: Internal server error
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get(
+  "/home",
+  paginationRules(50),
+  authentication.isAuthProtected,
+  feedController.getHomeFeed
+);
+
+/**
+ * @swagger
+ * /feed/{format}:
+ *   get:
+ *     summary: RSS or Atom feed
+ *     description: |
+ *       The latest published posts (`FEED_SYNDICATION_SIZE`, 20 by default) as RSS 2.0 (`/feed/rss`) or Atom (`/feed/atom`), with author names and tags.
+ *       Answers `304` when `If-None-Match` or `If-Modified-Since` show that the reader has the current version.
+ *     tags:
+ *       - Feed
+ *     parameters:
+ *       - in: path
+ *         name: format
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [rss, atom]
+ *     responses:
+ *       '200':
+ *         description: The feed, with `ETag` and `Last-Modified` headers
+ *         content:
+ *           application/rss+xml:
+ *             schema:
+ *               type: string
+ *           application/atom+xml:
+ *             schema:
+ *               type: string
+ *       '304':
+ *         description: Not modified
+ *       '500':
+ *         description: Internal server error
+ */
+router.get("/rss", syndicationController.getFeed("rss"));
+router.get("/atom", syndicationController.getFeed("atom"));
+
+/**
+ * @swagger
+ * /feed/authors/{userId}/{format}:
+ *   get:
+ *     summary: RSS or Atom feed of an author
+ *     description: Like `/feed/{format}`, limited to the published posts of one author.
+ *     tags:
+ *       - Feed
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: format
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [rss, atom]
+ *     responses:
+ *       '200':
+ *         description: The feed
+ *       '304':
+ *         description: Not modified
+ *       '400':
+ *         description: Invalid user id
  *       '404':
- *         description: No posts found
+ *         description: User not found
+ *       '500':
+ *         description: Internal server error
+ */
+router.get("/authors/:userId/rss", syndicationController.getAuthorFeed("rss"));
+router.get("/authors/:userId/atom", syndicationController.getAuthorFeed("atom"));
+
+/**
+ * @swagger
+ * /feed/tags/{tag}/{format}:
+ *   get:
+ *     summary: RSS or Atom feed of a tag
+ *     description: Like `/feed/{format}`, limited to the published posts with the tag. The tag is normalized like on posts.
+ *     tags:
+ *       - Feed
+ *     parameters:
+ *       - in: path
+ *         name: tag
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: format
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [rss, atom]
+ *     responses:
+ *       '200':
+ *         description: The feed
+ *       '304':
+ *         description: Not modified
  *       '500':
  *         description: Internal server error
  */
-router.get("/posts", authentication.isAuth, feedController.getPosts);
+router.get("/tags/:tag/rss", syndicationController.getTagFeed("rss"));
+router.get("/tags/:tag/atom", syndicationController.getTagFeed("atom"));
 
+/**
+ * @swagger
+ * /feed/stream:
+ *   get:
+ *     summary: Live post updates
+ *     description: |
+ *       Server-Sent Events stream of post changes. The access token goes into the `Authorization` header or, for `EventSource`, into `?token=`; without a token the stream is anonymous.
+ *       Clients only get events for posts their `/feed/posts` would list: anonymous clients and users published posts, admins also pending submissions.
+ *       - `ready` is sent first, with `authenticated`.
+ *       - `post.created`, `post.updated`, `post.approved` and `post.published` carry the post.
+ *       - `post.deleted` and `post.unpublished` carry `{ post: { _id } }` of a post to drop.
+ *     tags:
+ *       - Feed
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         description: Access token, for clients that cannot set headers
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       '401':
+ *         description: Token expired, invalid or revoked
+ *       '500':
+ *         description: Internal server error
+ */
+router.get("/stream", authentication.isAuthStream, streamController.getStream);
 
 /**
  * @swagger
  * /feed/post-requests:
  *   get:
  *     summary: Get post requests
- *     description: Fetches all post requests with "allowed" field set to false.
+ *     description: Fetches posts with status "pending" waiting for review, oldest first.
  *     tags:
  *       - Feed
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         description: Items per page, 4 by default and at most 50
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: after
+ *         description: Cursor from `pageInfo.nextCursor` to fetch the next page
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: before
+ *         description: Cursor from `pageInfo.prevCursor` to fetch the previous page
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
  *         description: Successful operation
+ *       422:
+ *         description: Invalid pagination parameters
  *       401:
  *         description: Unauthorized request
+ *       403:
+ *         description: Missing the `post:approve` permission
  *       500:
  *         description: Internal server error
  *     security:
@@ -49,7 +408,9 @@ router.get("/posts", authentication.isAuth, feedController.getPosts);
  */
 router.get(
   "/post-requests",
+  paginationRules(50),
   authentication.isAuthProtected,
+  hasPermission("post:approve"),
   feedController.getPostRequests
 );
 
@@ -58,7 +419,7 @@ router.get(
  * /feed/post-request/{postId}:
  *   post:
  *     summary: Allow post request
- *     description: Allows an admin to approve a post request by setting "allowed" field to true.
+ *     description: Allows an admin to approve a post request, setting its status to "approved".
  *     parameters:
  *       - in: path
  *         name: postId
@@ -73,8 +434,12 @@ router.get(
  *         description: Successful operation
  *       401:
  *         description: Unauthorized request
+ *       403:
+ *         description: Missing the `post:approve` permission
  *       404: 
  *         description: Resource not found
+ *       409:
+ *         description: Post cannot be approved from its current status
  *       500:
  *         description: Internal server error
  *     security:
@@ -83,26 +448,391 @@ router.get(
 router.post(
   "/post-request/:postId",
   authentication.isAuthProtected,
+  feedWriteLimit,
+  hasPermission("post:approve"),
   feedController.allowPostRequest
 );
 
+/**
+ * @swagger
+ * /feed/post-request/{postId}/reject:
+ *   post:
+ *     summary: Reject post request
+ *     description: Allows an admin to reject a pending post. A reason is required and is shown to the author in the moderation history.
+ *     parameters:
+ *       - in: path
+ *         name: postId
+ *         description: ID of the post request to reject
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     tags:
+ *       - Feed
+ *     responses:
+ *       200:
+ *         description: Successful operation
+ *       401:
+ *         description: Unauthorized request
+ *       403:
+ *         description: Missing the `post:approve` permission
+ *       404:
+ *         description: Resource not found
+ *       409:
+ *         description: Post is not pending
+ *       422:
+ *         description: Validation failed
+ *       500:
+ *         description: Internal server error
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post(
+  "/post-request/:postId/reject",
+  [body("reason").trim().notEmpty()],
+  authentication.isAuthProtected,
+  feedWriteLimit,
+  hasPermission("post:approve"),
+  feedController.rejectPostRequest
+);
+
+/**
+ * @swagger
+ * /feed/post-request/{postId}/request-changes:
+ *   post:
+ *     summary: Send post back for changes
+ *     description: Allows an admin to return a pending post to the author as a draft, with a reason.
+ *     parameters:
+ *       - in: path
+ *         name: postId
+ *         description: ID of the post request
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     tags:
+ *       - Feed
+ *     responses:
+ *       200:
+ *         description: Successful operation
+ *       401:
+ *         description: Unauthorized request
+ *       403:
+ *         description: Missing the `post:approve` permission
+ *       404:
+ *         description: Resource not found
+ *       409:
+ *         description: Post is not pending
+ *       422:
+ *         description: Validation failed
+ *       500:
+ *         description: Internal server error
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post(
+  "/post-request/:postId/request-changes",
+  [body("reason").trim().notEmpty()],
+  authentication.isAuthProtected,
+  feedWriteLimit,
+  hasPermission("post:approve"),
+  feedController.requestPostChanges
+);
+
+/**
+ * @swagger
+ * /feed/post/{postId}/unpublish:
+ *   post:
+ *     summary: Unpublish a post
+ *     description: Allows an admin to take an approved post off the feed, optionally with a reason.
+ *     parameters:
+ *       - in: path
+ *         name: postId
+ *         description: ID of the post to unpublish
+ *         required: true
+ *         schema:
+ *           type: string
+ *     tags:
+ *       - Feed
+ *     responses:
+ *       200:
+ *         description: Successful operation
+ *       401:
+ *         description: Unauthorized request
+ *       403:
+ *         description: Missing the `post:approve` permission
+ *       404:
+ *         description: Resource not found
+ *       409:
+ *         description: Post is not approved
+ *       500:
+ *         description: Internal server error
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post(
+  "/post/:postId/unpublish",
+  [body("reason").optional().trim()],
+  authentication.isAuthProtected,
+  feedWriteLimit,
+  hasPermission("post:approve"),
+  feedController.unpublishPost
+);
+
+/**
+ * @swagger
+ * /feed/post/{postId}/submit:
+ *   post:
+ *     summary: Submit a post for review
+ *     description: Sends a draft, rejected or unpublished post back to the approval queue. Only the author can submit.
+ *     parameters:
+ *       - in: path
+ *         name: postId
+ *         description: ID of the post to submit
+ *         required: true
+ *         schema:
+ *           type: string
+ *     tags:
+ *       - Feed
+ *     responses:
+ *       200:
+ *         description: Successful operation
+ *       403:
+ *         description: Not the author
+ *       404:
+ *         description: Resource not found
+ *       409:
+ *         description: Post cannot be submitted from its current status
+ *       500:
+ *         description: Internal server error
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post(
+  "/post/:postId/submit",
+  authentication.isAuthProtected,
+  feedWriteLimit,
+  feedController.submitPost
+);
+
+/**
+ * @swagger
+ * /feed/post/{postId}/schedule:
+ *   put:
+ *     summary: Schedule a post
+ *     description: |
+ *       Sets or removes the time an approved post goes live, without sending it back into review.
+ *       Available to the author and users with the `post:approve` permission, as long as the post is not published yet.
+ *     parameters:
+ *       - in: path
+ *         name: postId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               publishAt:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *                 description: A future time, or null to publish as soon as the post is approved
+ *     tags:
+ *       - Feed
+ *     responses:
+ *       200:
+ *         description: Successful operation
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Resource not found
+ *       409:
+ *         description: The post is already published
+ *       422:
+ *         description: Validation failed
+ *       500:
+ *         description: Internal server error
+ *     security:
+ *       - bearerAuth: []
+ */
+router.put(
+  "/post/:postId/schedule",
+  authentication.isAuthProtected,
+  feedWriteLimit,
+  [publishAtRule()],
+  feedController.schedulePost
+);
+
+/**
+ * @swagger
+ * /feed/post/{postId}/moderation-history:
+ *   get:
+ *     summary: Get moderation history of a post
+ *     description: Lists every moderation decision made on a post. Available to the author and admins.
+ *     parameters:
+ *       - in: path
+ *         name: postId
+ *         description: ID of the post
+ *         required: true
+ *         schema:
+ *           type: string
+ *     tags:
+ *       - Feed
+ *     responses:
+ *       200:
+ *         description: Successful operation
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Resource not found
+ *       500:
+ *         description: Internal server error
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get(
+  "/post/:postId/moderation-history",
+  authentication.isAuthProtected,
+  feedController.getModerationHistory
+);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PostInput:
+ *       type: object
+ *       properties:
+ *         title:
+ *           type: string
+ *         content:
+ *           type: string
+ *           description: Markdown, at most 50000 characters. HTML tags are removed, keeping their text, and links other than http, https, mailto and relative ones become plain text. Posts are returned with it rendered to sanitized HTML (`contentHtml`), a plain-text `excerpt` and `readingTime` in minutes.
+ *         coverImage:
+ *           type: string
+ *           format: binary
+ *         attachments:
+ *           type: array
+ *           items:
+ *             type: string
+ *             format: binary
+ *         coverImageId:
+ *           type: string
+ *           description: ID of a file uploaded through /feed/uploads
+ *         attachmentIds:
+ *           type: string
+ *           description: Comma separated ids of files uploaded through /feed/uploads
+ *         tags:
+ *           description: Tags as an array or a comma separated string, at most 10. They are stored normalized ("Node JS" becomes "node-js").
+ *           oneOf:
+ *             - type: array
+ *               items:
+ *                 type: string
+ *             - type: string
+ *         category:
+ *           type: string
+ *           description: ID of a category from /feed/categories, an empty string removes the category
+ *         publishAt:
+ *           type: string
+ *           format: date-time
+ *           description: Keeps the post hidden until this time once it is approved
+ *         draft:
+ *           type: boolean
+ *           description: Only on create. Saves the post as a draft that is not reviewed until submitted
+ */
+
+/**
+ * @swagger
+ * /feed/uploads:
+ *   post:
+ *     summary: Upload a file
+ *     description: |
+ *       Uploads an image or PDF that can be attached to a post later by its id.
+ *       Images get a thumbnail. Type and size limits are set in the configuration.
+ *     tags:
+ *       - Feed
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       '201':
+ *         description: File uploaded
+ *       '401':
+ *         description: Not authenticated
+ *       '413':
+ *         description: File too large
+ *       '422':
+ *         description: Missing file, type not allowed or invalid content
+ *       '500':
+ *         description: Internal server error
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post(
+  "/uploads",
+  authentication.isAuthProtected,
+  feedWriteLimit,
+  hasPermission("post:create"),
+  uploadSingleFile,
+  feedController.uploadFile
+);
+
 /**
  * @swagger
  * /feed/post:
  *   post:
  *     summary: Create a new post
- *     description: Create a new post with the provided title and content. Only an authenticated user can create a post.
+ *     description: |
+ *       Create a new post with the provided title and content. Only an authenticated user can create a post.
+ *       Send `multipart/form-data` to upload a cover image and attachments with the post, or reference files
+ *       uploaded before through `/feed/uploads` by id.
  *     tags:
  *       - Feed
  *     requestBody:
  *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             $ref: '#/components/schemas/PostInput'
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PostInput'
  *     responses:
  *       '201':
  *         description: Post created successfully
  *       '401':
  *         description: Not authenticated
+ *       '413':
+ *         description: File too large
  *       '422':
- *         description: Validation failed
+ *         description: Validation failed or file type not allowed
  *       '500':
  *         description: Internal server error
  *     security:
@@ -110,11 +840,21 @@ router.post(
  */
 router.post(
   "/post",
+  authentication.isAuthProtected,
+  feedWriteLimit,
+  uploadPostFiles,
   [
     body("title").trim().isLength({ min: 5 }),
-    body("content").trim().isLength({ min: 5 }),
+    body("content").trim().isLength({ min: 5, max: MAX_CONTENT_LENGTH }),
+    body("attachmentIds")
+      .optional()
+      .custom((value) => parseIds(value).every(mongoose.isValidObjectId))
+      .withMessage("Invalid attachment id."),
+    body("coverImageId").optional().isMongoId(),
+    ...classificationRules(),
+    body("draft").optional().isBoolean(),
   ],
-  authentication.isAuthProtected,
+  hasPermission("post:create"),
   feedController.createPost
 );
 
@@ -134,10 +874,18 @@ router.post(
  *         schema:
  *           type: string
  *     responses:
- *       '201':
- *         description: Post created successfully
+ *       '200':
+ *         description: Post fetched
+ *       '400':
+ *         description: Invalid post id
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       '401':
- *         description: Not authenticated
+ *         description: Not authenticated or token expired
+ *       '404':
+ *         description: Post not found
  *       '500':
  *         description: Internal server error
  *     security:
@@ -154,7 +902,10 @@ router.get(
  * /feed/post/{postId}:
  *   put:
  *     summary: Update a post by ID
- *     description: Updates a post by its ID.
+ *     description: |
+ *       Updates a post by its ID. Editing an approved, rejected or unpublished post sends it back to review.
+ *       New files are added to the post; `removeAttachmentIds` and `removeCoverImage` delete existing ones.
+ *       A new cover image replaces the old one.
  *     tags:
  *       - Feed
  *     parameters:
@@ -162,19 +913,32 @@ router.get(
  *         name: postId
  *         description: ID of the post to update
  *         required: true
- *       - in: body
- *         name: updatedPost
- *         description: Updated post object
- *         required: true
  *     requestBody:
  *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/PostInput'
+ *               - type: object
+ *                 properties:
+ *                   removeAttachmentIds:
+ *                     type: string
+ *                     description: Comma separated attachment ids to delete
+ *                   removeCoverImage:
+ *                     type: boolean
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PostInput'
  *     responses:
  *       200:
  *         description: Successful operation
  *       '401':
  *         description: Not authenticated
+ *       '413':
+ *         description: File too large
  *       '422':
- *         description: Validation failed
+ *         description: Validation failed or file type not allowed
  *       '500':
  *         description: Internal server error
  *     security:
@@ -182,11 +946,24 @@ router.get(
  */
 router.put(
   "/post/:postId",
+  authentication.isAuthProtected,
+  feedWriteLimit,
+  uploadPostFiles,
   [
     body("title").trim().isLength({ min: 5 }),
-    body("content").trim().isLength({ min: 5 }),
+    body("content").trim().isLength({ min: 5, max: MAX_CONTENT_LENGTH }),
+    body("attachmentIds")
+      .optional()
+      .custom((value) => parseIds(value).every(mongoose.isValidObjectId))
+      .withMessage("Invalid attachment id."),
+    body("coverImageId").optional().isMongoId(),
+    ...classificationRules(),
+    body("removeAttachmentIds")
+      .optional()
+      .custom((value) => parseIds(value).every(mongoose.isValidObjectId))
+      .withMessage("Invalid attachment id."),
+    body("removeCoverImage").optional().isBoolean(),
   ],
-  authentication.isAuthProtected,
   feedController.updatePost
 );
 
@@ -195,7 +972,9 @@ router.put(
  * /feed/post/{postId}:
  *   delete:
  *     summary: Delete a post by ID
- *     description: Deletes a post by its ID.
+ *     description: |
+ *       Moves a post to the trash. Authors can delete their own posts, users with the `post:delete:any` permission can delete any post.
+ *       The post can be restored until `restorableUntil`, after that it is deleted permanently. See `/feed/trash`.
  *     tags:
  *       - Feed
  *     parameters:
@@ -220,7 +999,130 @@ router.put(
 router.delete(
   "/post/:postId",
   authentication.isAuthProtected,
+  feedWriteLimit,
   feedController.deletePost
 );
 
+/**
+ * @swagger
+ * /feed/post/{postId}/like:
+ *   post:
+ *     summary: Like a post
+ *     description: Likes a post visible to the current user. Liking a post twice has no effect.
+ *     tags:
+ *       - Feed
+ *     parameters:
+ *       - in: path
+ *         name: postId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Post liked, returns the new `likeCount`
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: Post not found
+ *       500:
+ *         description: Internal server error
+ *     security:
+ *       - bearerAuth: []
+ *   delete:
+ *     summary: Remove a like
+ *     tags:
+ *       - Feed
+ *     parameters:
+ *       - in: path
+ *         name: postId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Like removed, returns the new `likeCount`
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: Post not found
+ *       500:
+ *         description: Internal server error
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post(
+  "/post/:postId/like",
+  authentication.isAuthProtected,
+  feedWriteLimit,
+  reactionController.likePost
+);
+
+router.delete(
+  "/post/:postId/like",
+  authentication.isAuthProtected,
+  feedWriteLimit,
+  reactionController.unlikePost
+);
+
+/**
+ * @swagger
+ * /feed/post/{postId}/bookmark:
+ *   post:
+ *     summary: Bookmark a post
+ *     description: Adds a post visible to the current user to their bookmarks, see /users/me/bookmarks.
+ *     tags:
+ *       - Feed
+ *     parameters:
+ *       - in: path
+ *         name: postId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Post bookmarked
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: Post not found
+ *       500:
+ *         description: Internal server error
+ *     security:
+ *       - bearerAuth: []
+ *   delete:
+ *     summary: Remove a bookmark
+ *     tags:
+ *       - Feed
+ *     parameters:
+ *       - in: path
+ *         name: postId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Bookmark removed
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: Post not found
+ *       500:
+ *         description: Internal server error
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post(
+  "/post/:postId/bookmark",
+  authentication.isAuthProtected,
+  feedWriteLimit,
+  reactionController.bookmarkPost
+);
+
+router.delete(
+  "/post/:postId/bookmark",
+  authentication.isAuthProtected,
+  feedWriteLimit,
+  reactionController.unbookmarkPost
+);
+
 module.exports = router;
@@ -0,0 +1,210 @@
+const express = require("express");
+const { body, query } = require("express-validator");
+
+const notificationController = require("../controllers/notification");
+const authentication = require("../middleware/is-auth");
+const { objectIdParam } = require("../middleware/object-id");
+const { paginationRules } = require("../util/pagination");
+const { TYPES } = require("../services/notifications");
+
+const router = express.Router();
+
+router.param("notificationId", objectIdParam);
+
+/**
+ * @swagger
+ * /users/me/notifications:
+ *   get:
+ *     summary: Get own notifications
+ *     description: |
+ *       Fetches the notifications of the current user, newest first, together with `unreadCount`.
+ *       Types: `post.submitted` (to moderators and admins), `post.approved`, `post.rejected`, `post.changes-requested`, `post.unpublished` (to the author) and `user.role-changed`.
+ *     tags:
+ *       - Notifications
+ *     parameters:
+ *       - in: query
+ *         name: unread
+ *         description: Only list unread notifications
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: limit
+ *         description: Items per page, 20 by default and at most 100
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: after
+ *         description: Cursor from `pageInfo.nextCursor` to fetch the next page
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: before
+ *         description: Cursor from `pageInfo.prevCursor` to fetch the previous page
+ *         schema:
+ *           type: string
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Notifications fetched successfully.
+ *       401:
+ *         description: Not authenticated.
+ *       422:
+ *         description: Validation failed.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get(
+  "/",
+  [query("unread").optional().isBoolean(), ...paginationRules(100)],
+  authentication.isAuthProtected,
+  notificationController.getNotifications
+);
+
+/**
+ * @swagger
+ * /users/me/notifications/unread-count:
+ *   get:
+ *     summary: Get the number of unread notifications
+ *     tags:
+ *       - Notifications
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Unread count fetched successfully.
+ *       401:
+ *         description: Not authenticated.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get(
+  "/unread-count",
+  authentication.isAuthProtected,
+  notificationController.getUnreadCount
+);
+
+/**
+ * @swagger
+ * /users/me/notifications/preferences:
+ *   get:
+ *     summary: Get notification preferences
+ *     description: Returns every notification type with `true` when the user receives it.
+ *     tags:
+ *       - Notifications
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Preferences fetched successfully.
+ *       401:
+ *         description: Not authenticated.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get(
+  "/preferences",
+  authentication.isAuthProtected,
+  notificationController.getPreferences
+);
+
+/**
+ * @swagger
+ * /users/me/notifications/preferences:
+ *   put:
+ *     summary: Update notification preferences
+ *     description: Turns notification types on (`true`) or off (`false`). Types left out keep their setting.
+ *     tags:
+ *       - Notifications
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             additionalProperties:
+ *               type: boolean
+ *             example:
+ *               post.submitted: false
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Preferences updated.
+ *       401:
+ *         description: Not authenticated.
+ *       422:
+ *         description: Unknown type or value other than a boolean.
+ *       500:
+ *         description: Internal server error.
+ */
+router.put(
+  "/preferences",
+  [
+    body()
+      .custom((value) =>
+        Object.keys(value).every(
+          (type) => TYPES.includes(type) && typeof value[type] === "boolean"
+        )
+      )
+      .withMessage(`Expected booleans for the types ${TYPES.join(", ")}.`),
+  ],
+  authentication.isAuthProtected,
+  notificationController.updatePreferences
+);
+
+/**
+ * @swagger
+ * /users/me/notifications/read-all:
+ *   post:
+ *     summary: Mark all notifications as read
+ *     tags:
+ *       - Notifications
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Notifications marked as read.
+ *       401:
+ *         description: Not authenticated.
+ *       500:
+ *         description: Internal server error.
+ */
+router.post(
+  "/read-all",
+  authentication.isAuthProtected,
+  notificationController.markAllAsRead
+);
+
+/**
+ * @swagger
+ * /users/me/notifications/{notificationId}/read:
+ *   post:
+ *     summary: Mark a notification as read
+ *     tags:
+ *       - Notifications
+ *     parameters:
+ *       - in: path
+ *         name: notificationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Notification marked as read.
+ *       401:
+ *         description: Not authenticated.
+ *       404:
+ *         description: Could not find notification.
+ *       500:
+ *         description: Internal server error.
+ */
+router.post(
+  "/:notificationId/read",
+  authentication.isAuthProtected,
+  notificationController.markAsRead
+);
+
+module.exports = router;
@@ -0,0 +1,193 @@
+const express = require("express");
+const { param, query } = require("express-validator");
+
+const revisionController = require("../controllers/revision");
+const authentication = require("../middleware/is-auth");
+const { feedWriteLimit } = require("../middleware/rate-limit");
+const { paginationRules } = require("../util/pagination");
+
+const router = express.Router({ mergeParams: true });
+
+const versionRule = (field) =>
+  query(field)
+    .optional()
+    .custom((value) => value === "current" || /^[1-9]\d*$/.test(value))
+    .withMessage(`${field} must be a revision number or "current".`);
+
+/**
+ * @swagger
+ * /feed/post/{postId}/revisions:
+ *   get:
+ *     summary: List revisions of a post
+ *     description: |
+ *       Every update stores the previous title, content, tags and category of the post as a revision, newest first.
+ *       Available to the author and users with the `post:revision:any` permission.
+ *     tags:
+ *       - Revisions
+ *     parameters:
+ *       - in: path
+ *         name: postId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         description: Items per page, 20 by default and at most 100
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: after
+ *         description: Cursor from `pageInfo.nextCursor` to fetch the next page
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: before
+ *         description: Cursor from `pageInfo.prevCursor` to fetch the previous page
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Successful operation
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Post not found
+ *       500:
+ *         description: Internal server error
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get(
+  "/",
+  paginationRules(100),
+  authentication.isAuthProtected,
+  revisionController.getRevisions
+);
+
+/**
+ * @swagger
+ * /feed/post/{postId}/revisions/diff:
+ *   get:
+ *     summary: Compare two versions of a post
+ *     description: |
+ *       Returns the changes from version `from` to version `to`. Versions are revision numbers or `current` for the live post.
+ *       Title and content changes are lists of parts flagged as `added` or `removed`.
+ *     tags:
+ *       - Revisions
+ *     parameters:
+ *       - in: path
+ *         name: postId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           default: current
+ *     responses:
+ *       200:
+ *         description: Successful operation
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Post or revision not found
+ *       422:
+ *         description: Invalid versions
+ *       500:
+ *         description: Internal server error
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get(
+  "/diff",
+  [query("from").exists(), versionRule("from"), versionRule("to")],
+  authentication.isAuthProtected,
+  revisionController.getRevisionDiff
+);
+
+/**
+ * @swagger
+ * /feed/post/{postId}/revisions/{number}:
+ *   get:
+ *     summary: Get a revision
+ *     description: Returns a revision including its content.
+ *     tags:
+ *       - Revisions
+ *     parameters:
+ *       - in: path
+ *         name: postId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: number
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Successful operation
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Post or revision not found
+ *       500:
+ *         description: Internal server error
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get(
+  "/:number",
+  [param("number").isInt({ min: 1 })],
+  authentication.isAuthProtected,
+  revisionController.getRevision
+);
+
+/**
+ * @swagger
+ * /feed/post/{postId}/revisions/{number}/restore:
+ *   post:
+ *     summary: Restore a revision
+ *     description: |
+ *       Sets the title, content, tags and category of the post back to the revision. The replaced version is stored as a new revision.
+ *       Restoring a reviewed post sends it back into the approval queue, like any edit.
+ *     tags:
+ *       - Revisions
+ *     parameters:
+ *       - in: path
+ *         name: postId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: number
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Successful operation
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Post or revision not found
+ *       500:
+ *         description: Internal server error
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post(
+  "/:number/restore",
+  [param("number").isInt({ min: 1 })],
+  authentication.isAuthProtected,
+  feedWriteLimit,
+  revisionController.restoreRevision
+);
+
+module.exports = router;
@@ -0,0 +1,159 @@
+const express = require("express");
+
+const trashController = require("../controllers/trash");
+const authentication = require("../middleware/is-auth");
+const { feedWriteLimit } = require("../middleware/rate-limit");
+const { hasPermission } = require("../middleware/has-permission");
+const { objectIdParam } = require("../middleware/object-id");
+const { paginationRules } = require("../util/pagination");
+
+const router = express.Router();
+
+router.param("postId", objectIdParam);
+
+/**
+ * @swagger
+ * /feed/trash:
+ *   get:
+ *     summary: List deleted posts
+ *     description: |
+ *       Fetches deleted posts, most recently deleted first, 10 per page.
+ *       Authors see their own posts, users with the `post:delete:any` permission all deleted posts.
+ *       Each post has `deletedAt`, `purgeAt` (when it is removed for good) and `restorable`.
+ *     tags:
+ *       - Trash
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         description: Items per page, 10 by default and at most 50
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: after
+ *         description: Cursor from `pageInfo.nextCursor` to fetch the next page
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: before
+ *         description: Cursor from `pageInfo.prevCursor` to fetch the previous page
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Successful operation
+ *       401:
+ *         description: Not authenticated
+ *       422:
+ *         description: Invalid pagination parameters
+ *       500:
+ *         description: Internal server error
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get(
+  "/",
+  paginationRules(50),
+  authentication.isAuthProtected,
+  trashController.getTrash
+);
+
+/**
+ * @swagger
+ * /feed/trash:
+ *   delete:
+ *     summary: Empty the trash
+ *     description: Deletes all posts in the trash permanently. Requires the `post:purge` permission.
+ *     tags:
+ *       - Trash
+ *     responses:
+ *       200:
+ *         description: Trash emptied
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       500:
+ *         description: Internal server error
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete(
+  "/",
+  authentication.isAuthProtected,
+  hasPermission("post:purge"),
+  trashController.emptyTrash
+);
+
+/**
+ * @swagger
+ * /feed/trash/{postId}/restore:
+ *   post:
+ *     summary: Restore a deleted post
+ *     description: Restores a post from the trash within the retention period. Allowed for the author and users with the `post:delete:any` permission.
+ *     tags:
+ *       - Trash
+ *     parameters:
+ *       - in: path
+ *         name: postId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Post restored
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Post not in the trash
+ *       409:
+ *         description: Retention period is over
+ *       500:
+ *         description: Internal server error
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post(
+  "/:postId/restore",
+  authentication.isAuthProtected,
+  feedWriteLimit,
+  trashController.restorePost
+);
+
+/**
+ * @swagger
+ * /feed/trash/{postId}:
+ *   delete:
+ *     summary: Delete a post permanently
+ *     description: Removes a post in the trash with its comments, attachments, reactions and revisions. Requires the `post:purge` permission.
+ *     tags:
+ *       - Trash
+ *     parameters:
+ *       - in: path
+ *         name: postId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Post deleted permanently
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Post not in the trash
+ *       500:
+ *         description: Internal server error
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete(
+  "/:postId",
+  authentication.isAuthProtected,
+  hasPermission("post:purge"),
+  trashController.purgePost
+);
+
+module.exports = router;
@@ -1,36 +1,278 @@
 const express = require("express");
+const { body, query } = require("express-validator");
 
 const router = express.Router();
 const authentication = require("../middleware/is-auth");
+const { hasPermission } = require("../middleware/has-permission");
+const { objectIdParam } = require("../middleware/object-id");
+const permissions = require("../util/permissions");
+const { paginationRules } = require("../util/pagination");
+const User = require("../models/user");
 
 const userController = require("../controllers/user");
+const reactionController = require("../controllers/reaction");
+const followController = require("../controllers/follow");
+const notificationRoutes = require("./notification");
+
+router.param("userId", objectIdParam);
+
+router.use("/me/notifications", notificationRoutes);
 
 /**
  * @swagger
  * /users/all:
  *   get:
  *     summary: Get all users
- *     description: Fetches all users.
+ *     description: Fetches users in pages, optionally filtered by role and email. Requires the `user:list` permission.
  *     tags: 
  *       - Users
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         description: Items per page, 20 by default and at most 100
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: after
+ *         description: Cursor from `pageInfo.nextCursor` to fetch the next page
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: before
+ *         description: Cursor from `pageInfo.prevCursor` to fetch the previous page
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [USER, BLOGGER, MODERATOR, ADMIN]
+ *       - in: query
+ *         name: email
+ *         description: Case-insensitive part of the email address
+ *         schema:
+ *           type: string
  *     security:
  *       - bearerAuth: []
  *     responses:
  *       200:
  *         description: Users fetched successfully.
- *       404:
- *         description: Could not find a user.
+ *       403:
+ *         description: Not authorized.
+ *       422:
+ *         description: Validation failed.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get(
+  "/all",
+  [
+    query("role").optional().isIn(permissions.ROLES),
+    query("email").optional().isString(),
+    ...paginationRules(100),
+  ],
+  authentication.isAuthProtected,
+  hasPermission("user:list"),
+  userController.getUsers
+);
+
+/**
+ * @swagger
+ * /users/me:
+ *   patch:
+ *     summary: Update own profile
+ *     description: |
+ *       Updates the first name, last name or email of the current user. Only the given fields are changed.
+ *       A new email address is unverified until the user confirms it with the link sent to it.
+ *     tags:
+ *       - Users
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               firstName:
+ *                 type: string
+ *               lastName:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Profile updated.
+ *       401:
+ *         description: Not authenticated.
+ *       422:
+ *         description: Validation failed.
+ *       500:
+ *         description: Internal server error.
+ */
+router.patch(
+  "/me",
+  authentication.isAuthProtected,
+  [
+    body("firstName").optional().trim().notEmpty(),
+    body("lastName").optional().trim().notEmpty(),
+    body("email")
+      .optional()
+      .isEmail()
+      .withMessage("Please enter a valid email.")
+      .custom((value, { req }) => {
+        // Deleted users keep their address until they are purged.
+        return User.findOne({ email: value })
+          .setOptions({ withDeleted: true })
+          .then((userDocument) => {
+            if (userDocument && userDocument._id.toString() !== req.userId) {
+              return Promise.reject("E-Mail address already exists");
+            }
+          });
+      })
+      .normalizeEmail(),
+  ],
+  userController.updateMe
+);
+
+/**
+ * @swagger
+ * /users/me/password:
+ *   put:
+ *     summary: Change own password
+ *     description: Changes the password of the current user. All other sessions of the user are logged out.
+ *     tags:
+ *       - Users
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *                 format: password
+ *               newPassword:
+ *                 type: string
+ *                 format: password
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Password changed.
+ *       401:
+ *         description: Wrong current password.
+ *       422:
+ *         description: Validation failed.
+ *       500:
+ *         description: Internal server error.
+ */
+router.put(
+  "/me/password",
+  [
+    body("currentPassword").notEmpty(),
+    body("newPassword").trim().isLength({ min: 5 }),
+  ],
+  authentication.isAuthProtected,
+  userController.changePassword
+);
+
+/**
+ * @swagger
+ * /users/me/bookmarks:
+ *   get:
+ *     summary: Get own bookmarks
+ *     description: Fetches the posts bookmarked by the current user, newest bookmark first.
+ *     tags:
+ *       - Users
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         description: Items per page, 20 by default and at most 100
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: after
+ *         description: Cursor from `pageInfo.nextCursor` to fetch the next page
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: before
+ *         description: Cursor from `pageInfo.prevCursor` to fetch the previous page
+ *         schema:
+ *           type: string
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Bookmarks fetched successfully.
+ *       401:
+ *         description: Not authenticated.
+ *       422:
+ *         description: Invalid pagination parameters.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get(
+  "/me/bookmarks",
+  paginationRules(100),
+  authentication.isAuthProtected,
+  reactionController.getBookmarks
+);
+
+/**
+ * @swagger
+ * /users/trash:
+ *   get:
+ *     summary: List deleted users
+ *     description: Fetches deleted users, most recently deleted first, with `deletedAt`, `purgeAt` and `restorable`. Requires the `user:delete` permission.
+ *     tags:
+ *       - Users
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         description: Items per page, 20 by default and at most 100
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: after
+ *         description: Cursor from `pageInfo.nextCursor` to fetch the next page
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: before
+ *         description: Cursor from `pageInfo.prevCursor` to fetch the previous page
+ *         schema:
+ *           type: string
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Deleted users fetched successfully.
+ *       403:
+ *         description: Not authorized.
+ *       422:
+ *         description: Invalid pagination parameters.
  *       500:
  *         description: Internal server error.
  */
-router.get("/all", authentication.isAuthProtected, userController.getUsers);
+router.get(
+  "/trash",
+  paginationRules(100),
+  authentication.isAuthProtected,
+  hasPermission("user:delete"),
+  userController.getDeletedUsers
+);
 
 /**
  * @swagger
  * /users/{userId}:
  *   get:
  *     summary: Get user by ID
- *     description: Fetches a specific user by their ID.
+ *     description: Fetches a specific user by their ID, with `followerCount`, `followingCount` and whether the current user follows them (`followedByMe`).
  *     tags: 
  *       - Users
  *     parameters:
@@ -52,4 +294,385 @@ router.get("/all", authentication.isAuthProtected, userController.getUsers);
  */
 router.get("/:userId", authentication.isAuthProtected, userController.getUser);
 
+/**
+ * @swagger
+ * /users/{userId}/follow:
+ *   post:
+ *     summary: Follow a user
+ *     description: Adds the posts of the user to the home feed (/feed/home) of the current user. Following twice has no effect.
+ *     tags:
+ *       - Users
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: User followed, returns the new `followerCount`.
+ *       404:
+ *         description: Could not find a user.
+ *       409:
+ *         description: Cannot follow yourself.
+ *       500:
+ *         description: Internal server error.
+ *   delete:
+ *     summary: Unfollow a user
+ *     tags:
+ *       - Users
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: User unfollowed, returns the new `followerCount`.
+ *       404:
+ *         description: Could not find a user.
+ *       500:
+ *         description: Internal server error.
+ */
+router.post(
+  "/:userId/follow",
+  authentication.isAuthProtected,
+  followController.followUser
+);
+
+router.delete(
+  "/:userId/follow",
+  authentication.isAuthProtected,
+  followController.unfollowUser
+);
+
+/**
+ * @swagger
+ * /users/{userId}/followers:
+ *   get:
+ *     summary: Get followers of a user
+ *     description: Users following the user, most recent first.
+ *     tags:
+ *       - Users
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         description: Items per page, 20 by default and at most 100
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: after
+ *         description: Cursor from `pageInfo.nextCursor` to fetch the next page
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: before
+ *         description: Cursor from `pageInfo.prevCursor` to fetch the previous page
+ *         schema:
+ *           type: string
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Users fetched successfully.
+ *       404:
+ *         description: Could not find a user.
+ *       422:
+ *         description: Invalid pagination parameters.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get(
+  "/:userId/followers",
+  paginationRules(100),
+  authentication.isAuthProtected,
+  followController.getFollowers
+);
+
+/**
+ * @swagger
+ * /users/{userId}/following:
+ *   get:
+ *     summary: Get users followed by a user
+ *     description: Users the user follows, most recent first.
+ *     tags:
+ *       - Users
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         description: Items per page, 20 by default and at most 100
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: after
+ *         description: Cursor from `pageInfo.nextCursor` to fetch the next page
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: before
+ *         description: Cursor from `pageInfo.prevCursor` to fetch the previous page
+ *         schema:
+ *           type: string
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Users fetched successfully.
+ *       404:
+ *         description: Could not find a user.
+ *       422:
+ *         description: Invalid pagination parameters.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get(
+  "/:userId/following",
+  paginationRules(100),
+  authentication.isAuthProtected,
+  followController.getFollowing
+);
+
+/**
+ * @swagger
+ * /users/{userId}/role:
+ *   patch:
+ *     summary: Change the role of a user
+ *     description: Sets the role of a user. Requires the `user:role:update` permission. Admins cannot change their own role.
+ *     tags:
+ *       - Users
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the user to update
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [USER, BLOGGER, MODERATOR, ADMIN]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: User role updated.
+ *       403:
+ *         description: Not authorized.
+ *       404:
+ *         description: Could not find a user.
+ *       409:
+ *         description: Cannot change own role.
+ *       422:
+ *         description: Validation failed.
+ *       500:
+ *         description: Internal server error.
+ */
+router.patch(
+  "/:userId/role",
+  [body("role").isIn(permissions.ROLES)],
+  authentication.isAuthProtected,
+  hasPermission("user:role:update"),
+  userController.updateUserRole
+);
+
+/**
+ * @swagger
+ * /users/{userId}/status:
+ *   patch:
+ *     summary: Deactivate, ban or reactivate a user
+ *     description: |
+ *       Sets the account status of a user. Requires the `user:manage` permission.
+ *       Deactivated and banned users cannot log in and their sessions are revoked.
+ *       Without `expiresAt` the status lasts until it is changed back to `active`.
+ *     tags:
+ *       - Users
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the user to update
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [active, deactivated, banned]
+ *               reason:
+ *                 type: string
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: User status updated.
+ *       403:
+ *         description: Not authorized.
+ *       404:
+ *         description: Could not find a user.
+ *       409:
+ *         description: Cannot change own status.
+ *       422:
+ *         description: Validation failed.
+ *       500:
+ *         description: Internal server error.
+ */
+router.patch(
+  "/:userId/status",
+  [
+    body("status").isIn(User.STATUSES),
+    body("reason").optional().trim(),
+    body("expiresAt")
+      .optional()
+      .isISO8601()
+      .custom((value) => new Date(value) > new Date())
+      .withMessage("Expiry date must be in the future."),
+  ],
+  authentication.isAuthProtected,
+  hasPermission("user:manage"),
+  userController.updateUserStatus
+);
+
+/**
+ * @swagger
+ * /users/{userId}:
+ *   delete:
+ *     summary: Delete a user
+ *     description: |
+ *       Moves a user to the trash and signs them out. Requires the `user:delete` permission.
+ *       Posts of the user are deleted with them, unless `reassignTo` names another user who becomes their author.
+ *       The user can be restored until `restorableUntil`, after that they are deleted permanently with their posts and comments.
+ *     tags:
+ *       - Users
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the user to delete
+ *       - in: query
+ *         name: reassignTo
+ *         schema:
+ *           type: string
+ *         description: ID of the user who takes over the posts
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: User deleted.
+ *       403:
+ *         description: Not authorized.
+ *       404:
+ *         description: Could not find a user.
+ *       409:
+ *         description: Cannot delete own account.
+ *       422:
+ *         description: Could not find the user to reassign posts to.
+ *       500:
+ *         description: Internal server error.
+ */
+router.delete(
+  "/:userId",
+  authentication.isAuthProtected,
+  hasPermission("user:delete"),
+  userController.deleteUser
+);
+
+/**
+ * @swagger
+ * /users/{userId}/restore:
+ *   post:
+ *     summary: Restore a deleted user
+ *     description: Restores a user from the trash within the retention period, together with the posts deleted with them. Requires the `user:delete` permission.
+ *     tags:
+ *       - Users
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: User restored.
+ *       403:
+ *         description: Not authorized.
+ *       404:
+ *         description: Could not find a deleted user.
+ *       409:
+ *         description: Retention period is over.
+ *       500:
+ *         description: Internal server error.
+ */
+router.post(
+  "/:userId/restore",
+  authentication.isAuthProtected,
+  hasPermission("user:delete"),
+  userController.restoreUser
+);
+
+/**
+ * @swagger
+ * /users/{userId}/purge:
+ *   delete:
+ *     summary: Delete a user permanently
+ *     description: Removes a deleted user with their posts, comments, reactions and follows. Requires the `user:delete` permission.
+ *     tags:
+ *       - Users
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: User deleted permanently.
+ *       403:
+ *         description: Not authorized.
+ *       404:
+ *         description: Could not find a deleted user.
+ *       500:
+ *         description: Internal server error.
+ */
+router.delete(
+  "/:userId/purge",
+  authentication.isAuthProtected,
+  hasPermission("user:delete"),
+  userController.purgeUser
+);
+
 module.exports = router;
@@ -0,0 +1,396 @@
+const express = require("express");
+const { body, query } = require("express-validator");
+
+const webhookController = require("../controllers/webhook");
+const authentication = require("../middleware/is-auth");
+const { hasPermission } = require("../middleware/has-permission");
+const { objectIdParam } = require("../middleware/object-id");
+const { paginationRules } = require("../util/pagination");
+const WebhookDelivery = require("../models/webhook-delivery");
+const { EVENTS } = require("../services/webhooks");
+
+const router = express.Router();
+
+router.param("webhookId", objectIdParam);
+router.param("deliveryId", objectIdParam);
+
+// `optional` marks the rules of a partial update.
+const webhookRules = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field("url")
+      .isURL({ protocols: ["http", "https"], require_protocol: true, require_tld: false })
+      .withMessage("Please enter a valid http(s) URL."),
+    field("events")
+      .isArray({ min: 1 })
+      .withMessage(`Expected a list of events out of ${EVENTS.join(", ")}.`),
+    body("events.*").isIn(EVENTS),
+    body("description").optional().trim().isLength({ max: 200 }),
+    body("active").optional().isBoolean({ strict: true }),
+  ];
+};
+
+/**
+ * @swagger
+ * /webhooks:
+ *   get:
+ *     summary: List webhooks
+ *     description: Fetches the registered webhooks, newest first. Requires the `webhook:manage` permission.
+ *     tags:
+ *       - Webhooks
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         description: Items per page, 20 by default and at most 100
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: after
+ *         description: Cursor from `pageInfo.nextCursor` to fetch the next page
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: before
+ *         description: Cursor from `pageInfo.prevCursor` to fetch the previous page
+ *         schema:
+ *           type: string
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Webhooks fetched successfully.
+ *       401:
+ *         description: Not authenticated.
+ *       403:
+ *         description: Not authorized.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get(
+  "/",
+  paginationRules(100),
+  authentication.isAuthProtected,
+  hasPermission("webhook:manage"),
+  webhookController.getWebhooks
+);
+
+/**
+ * @swagger
+ * /webhooks:
+ *   post:
+ *     summary: Register a webhook
+ *     description: |
+ *       Registers an endpoint for post events: `post.created`, `post.updated`, `post.deleted` and `post.approved`.
+ *       Deliveries are JSON POSTs signed with the returned `secret`: `X-Webhook-Signature` is `sha256=` and the hex HMAC-SHA256 of `<X-Webhook-Timestamp>.<body>`.
+ *       Failed deliveries are retried with exponential backoff.
+ *     tags:
+ *       - Webhooks
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [url, events]
+ *             properties:
+ *               url:
+ *                 type: string
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [post.created, post.updated, post.deleted, post.approved]
+ *               description:
+ *                 type: string
+ *               active:
+ *                 type: boolean
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Webhook created, with its secret.
+ *       401:
+ *         description: Not authenticated.
+ *       403:
+ *         description: Not authorized.
+ *       422:
+ *         description: Validation failed.
+ *       500:
+ *         description: Internal server error.
+ */
+router.post(
+  "/",
+  webhookRules(false),
+  authentication.isAuthProtected,
+  hasPermission("webhook:manage"),
+  webhookController.createWebhook
+);
+
+/**
+ * @swagger
+ * /webhooks/{webhookId}:
+ *   get:
+ *     summary: Get a webhook
+ *     tags:
+ *       - Webhooks
+ *     parameters:
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Webhook fetched successfully.
+ *       404:
+ *         description: Could not find webhook.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get(
+  "/:webhookId",
+  authentication.isAuthProtected,
+  hasPermission("webhook:manage"),
+  webhookController.getWebhook
+);
+
+/**
+ * @swagger
+ * /webhooks/{webhookId}:
+ *   patch:
+ *     summary: Update a webhook
+ *     description: Changes the URL, events, description or `active`. Inactive webhooks receive no deliveries.
+ *     tags:
+ *       - Webhooks
+ *     parameters:
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               url:
+ *                 type: string
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               description:
+ *                 type: string
+ *               active:
+ *                 type: boolean
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Webhook updated.
+ *       404:
+ *         description: Could not find webhook.
+ *       422:
+ *         description: Validation failed.
+ *       500:
+ *         description: Internal server error.
+ */
+router.patch(
+  "/:webhookId",
+  webhookRules(true),
+  authentication.isAuthProtected,
+  hasPermission("webhook:manage"),
+  webhookController.updateWebhook
+);
+
+/**
+ * @swagger
+ * /webhooks/{webhookId}:
+ *   delete:
+ *     summary: Delete a webhook
+ *     description: Deletes the webhook and its delivery log.
+ *     tags:
+ *       - Webhooks
+ *     parameters:
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Webhook deleted.
+ *       404:
+ *         description: Could not find webhook.
+ *       500:
+ *         description: Internal server error.
+ */
+router.delete(
+  "/:webhookId",
+  authentication.isAuthProtected,
+  hasPermission("webhook:manage"),
+  webhookController.deleteWebhook
+);
+
+/**
+ * @swagger
+ * /webhooks/{webhookId}/secret:
+ *   post:
+ *     summary: Replace the secret of a webhook
+ *     description: Generates a new signing secret and returns it once.
+ *     tags:
+ *       - Webhooks
+ *     parameters:
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Secret replaced.
+ *       404:
+ *         description: Could not find webhook.
+ *       500:
+ *         description: Internal server error.
+ */
+router.post(
+  "/:webhookId/secret",
+  authentication.isAuthProtected,
+  hasPermission("webhook:manage"),
+  webhookController.rotateSecret
+);
+
+/**
+ * @swagger
+ * /webhooks/{webhookId}/test:
+ *   post:
+ *     summary: Send a test delivery
+ *     description: Sends a signed `webhook.test` event right away and answers with the delivery, including the response status of the endpoint. Test deliveries are not retried.
+ *     tags:
+ *       - Webhooks
+ *     parameters:
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Test delivery made; `delivery.status` tells whether it succeeded.
+ *       404:
+ *         description: Could not find webhook.
+ *       500:
+ *         description: Internal server error.
+ */
+router.post(
+  "/:webhookId/test",
+  authentication.isAuthProtected,
+  hasPermission("webhook:manage"),
+  webhookController.testWebhook
+);
+
+/**
+ * @swagger
+ * /webhooks/{webhookId}/deliveries:
+ *   get:
+ *     summary: Delivery log of a webhook
+ *     description: Fetches the deliveries of a webhook, newest first, with attempts, response status and next retry.
+ *     tags:
+ *       - Webhooks
+ *     parameters:
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, succeeded, failed]
+ *       - in: query
+ *         name: limit
+ *         description: Items per page, 20 by default and at most 100
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: after
+ *         description: Cursor from `pageInfo.nextCursor` to fetch the next page
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: before
+ *         description: Cursor from `pageInfo.prevCursor` to fetch the previous page
+ *         schema:
+ *           type: string
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Deliveries fetched successfully.
+ *       404:
+ *         description: Could not find webhook.
+ *       422:
+ *         description: Validation failed.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get(
+  "/:webhookId/deliveries",
+  [
+    query("status").optional().isIn(WebhookDelivery.STATUSES),
+    ...paginationRules(100),
+  ],
+  authentication.isAuthProtected,
+  hasPermission("webhook:manage"),
+  webhookController.getDeliveries
+);
+
+/**
+ * @swagger
+ * /webhooks/{webhookId}/deliveries/{deliveryId}:
+ *   get:
+ *     summary: Get a delivery
+ *     description: Fetches a delivery with the payload that was sent.
+ *     tags:
+ *       - Webhooks
+ *     parameters:
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Delivery fetched successfully.
+ *       404:
+ *         description: Could not find delivery.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get(
+  "/:webhookId/deliveries/:deliveryId",
+  authentication.isAuthProtected,
+  hasPermission("webhook:manage"),
+  webhookController.getDelivery
+);
+
+module.exports = router;
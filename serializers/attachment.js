@@ -0,0 +1,20 @@
+const storage = require("../services/storage");
+
+// Attachments that were not populated are returned as plain ids.
+exports.serializeAttachment = (attachment) => {
+  if (!attachment || !attachment.key) {
+    return attachment;
+  }
+  return {
+    _id: attachment._id,
+    url: storage.url(attachment.key),
+    thumbnailUrl: attachment.thumbnailKey
+      ? storage.url(attachment.thumbnailKey)
+      : null,
+    originalName: attachment.originalName,
+    mimeType: attachment.mimeType,
+    size: attachment.size,
+    width: attachment.width,
+    height: attachment.height,
+  };
+};
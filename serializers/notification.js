@@ -0,0 +1,34 @@
+const actorOf = (notification) =>
+  notification.actor && notification.actor.firstName
+    ? {
+        _id: notification.actor._id,
+        name: notification.actor.firstName + " " + notification.actor.lastName,
+      }
+    : notification.actor || null;
+
+// Short text for clients that do not render the types themselves.
+const MESSAGES = {
+  "post.submitted": (data) => `"${data.title}" was submitted for review.`,
+  "post.approved": (data) => `Your post "${data.title}" was approved.`,
+  "post.rejected": (data) => `Your post "${data.title}" was rejected.`,
+  "post.changes-requested": (data) => `Changes were requested for "${data.title}".`,
+  "post.unpublished": (data) => `Your post "${data.title}" was unpublished.`,
+  "user.role-changed": (data) => `Your role was changed to ${data.toRole}.`,
+};
+
+exports.serializeNotification = (notification) => {
+  const data = notification.data || {};
+  return {
+    _id: notification._id,
+    type: notification.type,
+    message: MESSAGES[notification.type]
+      ? MESSAGES[notification.type](data)
+      : notification.type,
+    actor: actorOf(notification),
+    post: notification.post || null,
+    data: data,
+    read: !!notification.readAt,
+    readAt: notification.readAt || null,
+    createdAt: notification.createdAt,
+  };
+};
@@ -0,0 +1,73 @@
+const markdown = require("../util/markdown");
+const permissions = require("../util/permissions");
+const { serializeAttachment } = require("./attachment");
+
+// Populated categories are reduced to their public fields, unpopulated ones stay an id.
+const serializeCategory = (category) => {
+  if (!category) {
+    return null;
+  }
+  return category.slug
+    ? { _id: category._id, name: category.name, slug: category.slug }
+    : category;
+};
+
+const authorId = (post) =>
+  post.author && post.author._id ? post.author._id : post.author;
+
+// Picks the view of `post` that `viewer` is allowed to see: "admin", "self" or "public".
+exports.viewFor = (viewer, post) => {
+  if (viewer && permissions.can(viewer.role, "post:read:any")) {
+    return "admin";
+  }
+  if (viewer && viewer._id.equals(authorId(post))) {
+    return "self";
+  }
+  return "public";
+};
+
+// `reactions` holds the ids of the posts the viewer has liked and bookmarked
+// (`{ liked, bookmarked }` sets); without it the viewer specific flags are left out.
+exports.serializePost = (post, view = "public", reactions) => {
+  const author = post.author && post.author.firstName
+    ? {
+        _id: post.author._id,
+        name: post.author.firstName + " " + post.author.lastName,
+      }
+    : post.author;
+
+  const data = {
+    _id: post._id,
+    title: post.title,
+    ...markdown.renderedFields(post),
+    author: author,
+    coverImage: serializeAttachment(post.coverImage) || null,
+    attachments: (post.attachments || []).map(serializeAttachment),
+    tags: post.tags || [],
+    category: serializeCategory(post.category),
+    likeCount: post.likeCount || 0,
+    viewCount: post.viewCount || 0,
+    publishedAt: post.publishedAt || null,
+    createdAt: post.createdAt,
+    updatedAt: post.updatedAt,
+  };
+
+  if (reactions) {
+    data.likedByMe = reactions.liked.has(post._id.toString());
+    data.bookmarkedByMe = reactions.bookmarked.has(post._id.toString());
+  }
+
+  if (view === "self" || view === "admin") {
+    data.status = post.status;
+    data.allowed = post.allowed;
+    data.publishAt = post.publishAt || null;
+  }
+
+  return data;
+};
+
+// Serializes a list of posts, each in the view `viewer` may see.
+exports.serializePosts = (posts, viewer, reactions) =>
+  posts.map((post) =>
+    exports.serializePost(post, exports.viewFor(viewer, post), reactions)
+  );
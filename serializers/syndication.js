@@ -0,0 +1,107 @@
+const config = require("../config");
+const markdown = require("../util/markdown");
+
+// RSS 2.0 and Atom documents of a list of posts. Posts need their author populated.
+// `channel` holds the `title`, `description` and `selfUrl` of the feed.
+
+// Characters XML 1.0 does not allow, even escaped.
+const INVALID_XML = /[^\u0009\u000A\u000D\u0020-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu;
+
+const escape = (value) =>
+  String(value == null ? "" : value)
+    .replace(INVALID_XML, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+
+// Posts link to the frontend; the API has no public page per post.
+const postUrl = (post) => `${config.frontendUrl}/posts/${post._id}`;
+
+const authorName = (post) =>
+  post.author && post.author.firstName
+    ? post.author.firstName + " " + post.author.lastName
+    : "Unknown author";
+
+const publishedAt = (post) => post.publishedAt || post.createdAt;
+
+// Posts stored before `editedAt` existed fall back to `updatedAt`.
+const editedAt = (post) => post.editedAt || post.updatedAt;
+
+exports.authorName = authorName;
+
+// Latest edit among the posts, used for the feed dates and Last-Modified.
+exports.lastModified = (posts) =>
+  posts.reduce(
+    (latest, post) =>
+      !latest || editedAt(post) > latest ? editedAt(post) : latest,
+    null
+  );
+
+exports.renderRss = (channel, posts) => {
+  const updated = exports.lastModified(posts) || new Date();
+  const items = posts.map((post) => {
+    const { contentHtml } = markdown.renderedFields(post);
+    return [
+      "    <item>",
+      `      <title>${escape(post.title)}</title>`,
+      `      <link>${escape(postUrl(post))}</link>`,
+      `      <guid isPermaLink="true">${escape(postUrl(post))}</guid>`,
+      `      <dc:creator>${escape(authorName(post))}</dc:creator>`,
+      `      <pubDate>${publishedAt(post).toUTCString()}</pubDate>`,
+      ...(post.tags || []).map((tag) => `      <category>${escape(tag)}</category>`),
+      `      <description>${escape(contentHtml)}</description>`,
+      "    </item>",
+    ].join("\n");
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+    "  <channel>",
+    `    <title>${escape(channel.title)}</title>`,
+    `    <link>${escape(config.frontendUrl)}</link>`,
+    `    <description>${escape(channel.description)}</description>`,
+    `    <atom:link href="${escape(channel.selfUrl)}" rel="self" type="application/rss+xml"/>`,
+    `    <lastBuildDate>${updated.toUTCString()}</lastBuildDate>`,
+    ...items,
+    "  </channel>",
+    "</rss>",
+    "",
+  ].join("\n");
+};
+
+exports.renderAtom = (channel, posts) => {
+  const updated = exports.lastModified(posts) || new Date();
+  const entries = posts.map((post) => {
+    const { contentHtml, excerpt } = markdown.renderedFields(post);
+    return [
+      "  <entry>",
+      `    <id>${escape(postUrl(post))}</id>`,
+      `    <title>${escape(post.title)}</title>`,
+      `    <link rel="alternate" href="${escape(postUrl(post))}"/>`,
+      `    <author><name>${escape(authorName(post))}</name></author>`,
+      `    <published>${publishedAt(post).toISOString()}</published>`,
+      `    <updated>${editedAt(post).toISOString()}</updated>`,
+      ...(post.tags || []).map((tag) => `    <category term="${escape(tag)}"/>`),
+      `    <summary>${escape(excerpt)}</summary>`,
+      `    <content type="html">${escape(contentHtml)}</content>`,
+      "  </entry>",
+    ].join("\n");
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${escape(channel.selfUrl)}</id>`,
+    `  <title>${escape(channel.title)}</title>`,
+    `  <subtitle>${escape(channel.description)}</subtitle>`,
+    `  <link rel="self" type="application/atom+xml" href="${escape(channel.selfUrl)}"/>`,
+    `  <link rel="alternate" href="${escape(config.frontendUrl)}"/>`,
+    `  <updated>${updated.toISOString()}</updated>`,
+    ...entries,
+    "</feed>",
+    "",
+  ].join("\n");
+};
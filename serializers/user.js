@@ -0,0 +1,37 @@
+const permissions = require("../util/permissions");
+
+// Picks the view of `user` that `viewer` is allowed to see: "admin", "self" or "public".
+exports.viewFor = (viewer, user) => {
+  if (viewer && permissions.can(viewer.role, "user:list")) {
+    return "admin";
+  }
+  if (viewer && viewer._id.equals(user._id)) {
+    return "self";
+  }
+  return "public";
+};
+
+exports.serializeUser = (user, view = "public") => {
+  const data = {
+    _id: user._id,
+    firstName: user.firstName,
+    lastName: user.lastName,
+    role: user.role,
+    postCount: user.posts ? user.posts.length : 0,
+    followerCount: user.followerCount || 0,
+    followingCount: user.followingCount || 0,
+  };
+
+  if (view === "self" || view === "admin") {
+    data.email = user.email;
+    data.status = user.status;
+  }
+
+  if (view === "admin") {
+    data.statusReason = user.statusReason;
+    data.statusExpiresAt = user.statusExpiresAt;
+    data.statusChangedBy = user.statusChangedBy;
+  }
+
+  return data;
+};
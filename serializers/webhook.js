@@ -0,0 +1,37 @@
+// The secret is only returned once, when the webhook is created.
+exports.serializeWebhook = (webhook, withSecret = false) => {
+  const data = {
+    _id: webhook._id,
+    url: webhook.url,
+    events: webhook.events,
+    description: webhook.description || null,
+    active: webhook.active,
+    createdBy: webhook.createdBy,
+    createdAt: webhook.createdAt,
+    updatedAt: webhook.updatedAt,
+  };
+  if (withSecret) {
+    data.secret = webhook.secret;
+  }
+  return data;
+};
+
+exports.serializeDelivery = (delivery, withPayload = false) => {
+  const data = {
+    _id: delivery._id,
+    webhook: delivery.webhook,
+    event: delivery.event,
+    status: delivery.status,
+    attempts: delivery.attempts,
+    responseStatus: delivery.responseStatus || null,
+    error: delivery.error || null,
+    nextAttemptAt: delivery.nextAttemptAt || null,
+    lastAttemptAt: delivery.lastAttemptAt || null,
+    deliveredAt: delivery.deliveredAt || null,
+    createdAt: delivery.createdAt,
+  };
+  if (withPayload) {
+    data.payload = delivery.payload;
+  }
+  return data;
+};
@@ -0,0 +1,33 @@
+const mongoose = require("mongoose");
+
+const config = require("./config");
+const { createApp } = require("./app");
+const Post = require("./models/post");
+const scheduler = require("./services/scheduler");
+
+const start = async () => {
+  await mongoose.connect(config.mongodbUri);
+  await Post.backfillStatus();
+
+  const server = createApp().listen(config.port, () => {
+    console.log(`Server listening on port ${config.port}`);
+  });
+
+  if (config.scheduler.enabled) {
+    scheduler.start();
+  }
+
+  const shutdown = () => {
+    scheduler.stop();
+    server.close(() => {
+      mongoose.disconnect().then(() => process.exit(0));
+    });
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+};
+
+start().catch((err) => {
+  console.log(err);
+  process.exit(1);
+});
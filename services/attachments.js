@@ -0,0 +1,117 @@
+const crypto = require("crypto");
+const sharp = require("sharp");
+
+const config = require("../config");
+const Attachment = require("../models/attachment");
+const storage = require("./storage");
+const { ValidationError } = require("../util/errors");
+
+const EXTENSIONS = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/gif": "gif",
+  "image/webp": "webp",
+  "application/pdf": "pdf",
+};
+
+const invalidFile = (message) =>
+  new ValidationError(message, undefined, "INVALID_FILE");
+
+const newKey = (extension) => {
+  const now = new Date();
+  const month = String(now.getMonth() + 1).padStart(2, "0");
+  return `${now.getFullYear()}/${month}/${crypto.randomBytes(16).toString("hex")}.${extension}`;
+};
+
+// Checks the file content instead of trusting the mime type sent by the client.
+const inspect = async (file) => {
+  if (file.mimetype.startsWith("image/")) {
+    try {
+      const metadata = await sharp(file.buffer).metadata();
+      return { width: metadata.width, height: metadata.height };
+    } catch (err) {
+      throw invalidFile(`${file.originalname} is not a valid image.`);
+    }
+  }
+  if (
+    file.mimetype === "application/pdf" &&
+    file.buffer.subarray(0, 5).toString() !== "%PDF-"
+  ) {
+    throw invalidFile(`${file.originalname} is not a valid PDF.`);
+  }
+  return {};
+};
+
+// Accepts ids as an array or a comma separated string, as multipart forms send them either way.
+exports.parseIds = (value) => {
+  if (!value) {
+    return [];
+  }
+  return (Array.isArray(value) ? value : String(value).split(","))
+    .map((id) => String(id).trim())
+    .filter(Boolean);
+};
+
+// Validates and stores an uploaded multer file (with a thumbnail for images) and records it.
+exports.createAttachment = async (file, ownerId, postId) => {
+  const dimensions = await inspect(file);
+  const key = newKey(EXTENSIONS[file.mimetype] || "bin");
+  await storage.save(key, file.buffer, file.mimetype);
+
+  let thumbnailKey;
+  if (dimensions.width) {
+    thumbnailKey = key.replace(/\.\w+$/, "-thumb.webp");
+    const thumbnail = await sharp(file.buffer)
+      .resize({ width: config.uploads.thumbnailWidth, withoutEnlargement: true })
+      .webp()
+      .toBuffer();
+    await storage.save(thumbnailKey, thumbnail, "image/webp");
+  }
+
+  return Attachment.create({
+    owner: ownerId,
+    post: postId,
+    key: key,
+    thumbnailKey: thumbnailKey,
+    originalName: file.originalname,
+    mimeType: file.mimetype,
+    size: file.size,
+    width: dimensions.width,
+    height: dimensions.height,
+  });
+};
+
+// Loads uploads of `ownerId` that are not used by another post yet and links them to `postId`.
+exports.claimAttachments = async (ids, ownerId, postId) => {
+  if (!ids || ids.length === 0) {
+    return [];
+  }
+  const attachments = await Attachment.find({
+    _id: { $in: ids },
+    owner: ownerId,
+    $or: [{ post: null }, { post: postId }],
+  });
+  if (attachments.length !== new Set(ids.map(String)).size) {
+    throw invalidFile("Unknown attachment.");
+  }
+  await Attachment.updateMany(
+    { _id: { $in: attachments.map((a) => a._id) } },
+    { post: postId }
+  );
+  return attachments;
+};
+
+// Deletes attachments and their stored files.
+exports.removeAttachments = async (filter) => {
+  const attachments = await Attachment.find(filter);
+  await Promise.all(
+    attachments.map(async (attachment) => {
+      await storage.remove(attachment.key);
+      if (attachment.thumbnailKey) {
+        await storage.remove(attachment.thumbnailKey);
+      }
+    })
+  );
+  await Attachment.deleteMany({ _id: { $in: attachments.map((a) => a._id) } });
+  return attachments.length;
+};
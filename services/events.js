@@ -0,0 +1,38 @@
+const { EventEmitter } = require("events");
+
+// In-process event bus. Controllers and services publish what happened, listeners such as
+// services/notifications.js react to it without the publisher knowing about them.
+//
+// Events and their payloads:
+//   post.created            { post, actorId }
+//   post.updated            { post, actorId }  also sent when a post is restored from the trash
+//   post.deleted            { post, actorId }  moved to the trash
+//   post.published          { post }  a scheduled post went live
+//   post.submitted          { post, actorId, fromStatus }  a post entered the review queue
+//   post.approved           { post, actorId, reason }
+//   post.rejected           { post, actorId, reason }
+//   post.changes-requested  { post, actorId, reason }
+//   post.unpublished        { post, actorId, reason }
+//   user.role-changed       { user, fromRole, toRole, actorId }  actorId is null for promotions
+
+const bus = new EventEmitter();
+
+exports.on = (name, listener) => {
+  bus.on(name, listener);
+};
+
+exports.off = (name, listener) => {
+  bus.off(name, listener);
+};
+
+// Runs the listeners of `name` one after another and waits for them. A failing listener is
+// logged; it never fails the request that published the event.
+exports.publish = async (name, payload) => {
+  for (const listener of bus.listeners(name)) {
+    try {
+      await listener(payload);
+    } catch (err) {
+      console.error(`Listener for "${name}" failed:`, err);
+    }
+  }
+};
@@ -0,0 +1,59 @@
+const Follow = require("../models/follow");
+const User = require("../models/user");
+
+const DUPLICATE_KEY = 11000;
+
+const updateCounts = (followerId, followingId, delta) =>
+  Promise.all([
+    User.updateOne({ _id: followerId }, { $inc: { followingCount: delta } }),
+    User.updateOne({ _id: followingId }, { $inc: { followerCount: delta } }),
+  ]);
+
+// Following twice is a no-op.
+exports.follow = async (followerId, followingId) => {
+  try {
+    await Follow.create({ follower: followerId, following: followingId });
+  } catch (err) {
+    if (err.code !== DUPLICATE_KEY) {
+      throw err;
+    }
+    return;
+  }
+  await updateCounts(followerId, followingId, 1);
+};
+
+exports.unfollow = async (followerId, followingId) => {
+  const result = await Follow.deleteOne({
+    follower: followerId,
+    following: followingId,
+  });
+  if (result.deletedCount > 0) {
+    await updateCounts(followerId, followingId, -1);
+  }
+};
+
+exports.isFollowing = async (followerId, followingId) =>
+  !!(await Follow.exists({ follower: followerId, following: followingId }));
+
+// Ids of all users `userId` follows, for the home feed.
+exports.followingIdsOf = async (userId) =>
+  (await Follow.find({ follower: userId }, "following")).map(
+    (follow) => follow.following
+  );
+
+// Cleans up after a deleted user, fixing the counters of the users on the other side.
+exports.removeForUser = async (userId) => {
+  const [followers, following] = await Promise.all([
+    Follow.find({ following: userId }, "follower"),
+    Follow.find({ follower: userId }, "following"),
+  ]);
+  await User.updateMany(
+    { _id: { $in: followers.map((follow) => follow.follower) } },
+    { $inc: { followingCount: -1 } }
+  );
+  await User.updateMany(
+    { _id: { $in: following.map((follow) => follow.following) } },
+    { $inc: { followerCount: -1 } }
+  );
+  await Follow.deleteMany({ $or: [{ follower: userId }, { following: userId }] });
+};
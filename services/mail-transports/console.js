@@ -0,0 +1,8 @@
+// Prints mails to stdout. Meant for local development.
+module.exports = () => ({
+  send: async (message) => {
+    console.log(
+      `[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${message.text}`
+    );
+  },
+});
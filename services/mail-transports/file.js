@@ -0,0 +1,15 @@
+const fs = require("fs/promises");
+const path = require("path");
+
+// Writes every mail as a JSON file into `directory`. Used by tests and local development
+// to read the links that would have been emailed.
+module.exports = ({ directory }) => ({
+  send: async (message) => {
+    await fs.mkdir(directory, { recursive: true });
+    const fileName = `${Date.now()}-${Math.random().toString(36).slice(2)}.json`;
+    await fs.writeFile(
+      path.join(directory, fileName),
+      JSON.stringify({ ...message, sentAt: new Date() }, null, 2)
+    );
+  },
+});
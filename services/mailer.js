@@ -0,0 +1,52 @@
+const config = require("../config");
+
+const transports = {
+  console: require("./mail-transports/console"),
+  file: require("./mail-transports/file"),
+};
+
+let transport;
+
+const getTransport = () => {
+  if (!transport) {
+    const createTransport = transports[config.mail.transport];
+    if (!createTransport) {
+      throw new Error(`Unknown mail transport "${config.mail.transport}".`);
+    }
+    transport = createTransport(config.mail);
+  }
+  return transport;
+};
+
+// Replaces the transport, e.g. with an SMTP client. A transport is any object with an async send(message).
+exports.setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+exports.sendMail = (message) =>
+  getTransport().send({ from: config.mail.from, ...message });
+
+// Links point to pages of the frontend, which send the token on to `POST /auth/verify-email`
+// and `POST /auth/reset-password`.
+exports.sendVerificationMail = (user, token) =>
+  exports.sendMail({
+    to: user.email,
+    subject: "Please verify your email address",
+    text:
+      `Hi ${user.firstName},\n\n` +
+      `please confirm your email address by opening this link:\n` +
+      `${config.frontendUrl}/verify-email?token=${token}\n\n` +
+      `The link expires in ${config.auth.verificationTokenTtlMinutes / 60} hours.`,
+  });
+
+exports.sendPasswordResetMail = (user, token) =>
+  exports.sendMail({
+    to: user.email,
+    subject: "Reset your password",
+    text:
+      `Hi ${user.firstName},\n\n` +
+      `you can choose a new password by opening this link:\n` +
+      `${config.frontendUrl}/reset-password?token=${token}\n\n` +
+      `The link expires in ${config.auth.passwordResetTokenTtlMinutes} minutes. ` +
+      `If you did not ask for a new password, ignore this email.`,
+  });
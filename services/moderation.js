@@ -0,0 +1,33 @@
+const ModerationLog = require("../models/moderation-log");
+const events = require("./events");
+
+// Event published for each moderation action, see services/events.js. Editing a reviewed
+// post sends it back into the queue, so it counts as a new submission.
+const EVENTS = {
+  submit: "post.submitted",
+  edit: "post.submitted",
+  approve: "post.approved",
+  reject: "post.rejected",
+  "request-changes": "post.changes-requested",
+  unpublish: "post.unpublished",
+};
+
+// Applies the moderation `action` to `post`, saves it and records the decision.
+exports.moderate = async (post, action, actorId, reason) => {
+  const { fromStatus, toStatus } = post.transition(action);
+  await post.save();
+  await ModerationLog.create({
+    post: post._id,
+    actor: actorId,
+    action: action,
+    fromStatus: fromStatus,
+    toStatus: toStatus,
+    reason: reason,
+  });
+  await events.publish(EVENTS[action], {
+    post: post,
+    actorId: actorId,
+    reason: reason,
+    fromStatus: fromStatus,
+  });
+};
@@ -0,0 +1,82 @@
+const Notification = require("../models/notification");
+const User = require("../models/user");
+const events = require("./events");
+const permissions = require("../util/permissions");
+
+// Turns the events of services/events.js into notifications. Users can mute every type in
+// TYPES; muted types are stored in User.mutedNotifications. The listeners are registered when
+// this module is loaded.
+
+exports.TYPES = [
+  "post.submitted",
+  "post.approved",
+  "post.rejected",
+  "post.changes-requested",
+  "post.unpublished",
+  "user.role-changed",
+];
+
+// Creates a notification of `type` for each of `userIds` that has not muted it.
+exports.notify = async (userIds, type, fields) => {
+  const recipients = await User.find(
+    { _id: { $in: userIds }, mutedNotifications: { $ne: type } },
+    "_id"
+  );
+  if (recipients.length === 0) {
+    return [];
+  }
+  return Notification.insertMany(
+    recipients.map((user) => ({ ...fields, user: user._id, type: type }))
+  );
+};
+
+exports.unreadCount = (userId) =>
+  Notification.countDocuments({ user: userId, readAt: null });
+
+// Enabled state of every type for `user`.
+exports.preferencesOf = (user) =>
+  exports.TYPES.reduce((preferences, type) => {
+    preferences[type] = !(user.mutedNotifications || []).includes(type);
+    return preferences;
+  }, {});
+
+const postFields = (post, actorId, reason) => ({
+  actor: actorId || undefined,
+  post: post._id,
+  data: { title: post.title, reason: reason },
+});
+
+// New submissions go to everybody who reviews posts.
+events.on("post.submitted", async ({ post, actorId }) => {
+  const reviewers = await User.find(
+    {
+      role: { $in: permissions.rolesWith("post:approve") },
+      _id: { $ne: post.author },
+    },
+    "_id"
+  );
+  await exports.notify(
+    reviewers.map((user) => user._id),
+    "post.submitted",
+    postFields(post, actorId)
+  );
+});
+
+// Review outcomes go to the author, unless they moderated their own post.
+["post.approved", "post.rejected", "post.changes-requested", "post.unpublished"].forEach(
+  (type) => {
+    events.on(type, async ({ post, actorId, reason }) => {
+      if (actorId && post.author.equals(actorId)) {
+        return;
+      }
+      await exports.notify([post.author], type, postFields(post, actorId, reason));
+    });
+  }
+);
+
+events.on("user.role-changed", async ({ user, fromRole, toRole, actorId }) => {
+  await exports.notify([user._id], "user.role-changed", {
+    actor: actorId || undefined,
+    data: { fromRole: fromRole, toRole: toRole },
+  });
+});
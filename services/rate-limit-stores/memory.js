@@ -0,0 +1,37 @@
+// Keeps rate limit counters in process memory. Counters are lost on restart and are not
+// shared between processes; plug in a shared store when running more than one instance.
+module.exports = ({ sweepIntervalMs = 60 * 1000 } = {}) => {
+  const hits = new Map();
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    hits.forEach((entry, key) => {
+      if (entry.resetAt <= now) {
+        hits.delete(key);
+      }
+    });
+  }, sweepIntervalMs);
+  sweep.unref();
+
+  return {
+    increment: async (key, windowMs) => {
+      const now = Date.now();
+      let entry = hits.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        hits.set(key, entry);
+      }
+      entry.count += 1;
+      return { count: entry.count, resetAt: new Date(entry.resetAt) };
+    },
+    decrement: async (key) => {
+      const entry = hits.get(key);
+      if (entry && entry.count > 0) {
+        entry.count -= 1;
+      }
+    },
+    reset: async (key) => {
+      hits.delete(key);
+    },
+  };
+};
@@ -0,0 +1,81 @@
+const Bookmark = require("../models/bookmark");
+const Like = require("../models/like");
+const Post = require("../models/post");
+
+const DUPLICATE_KEY = 11000;
+
+// Ids of the given posts the user has liked and bookmarked, for serializePost.
+// Resolves to undefined for anonymous callers so the flags are left out.
+exports.reactionsOf = async (userId, posts) => {
+  if (!userId) {
+    return undefined;
+  }
+  const postIds = posts.map((post) => post._id);
+  const [liked, bookmarked] = await Promise.all([
+    Like.postIdsOf(userId, postIds),
+    Bookmark.postIdsOf(userId, postIds),
+  ]);
+  return { liked, bookmarked };
+};
+
+// Liking twice is a no-op. Resolves to the new like count of the post. Like counts are not
+// edits, so their updates leave `updatedAt` alone.
+exports.like = async (userId, post) => {
+  try {
+    await Like.create({ user: userId, post: post._id });
+  } catch (err) {
+    if (err.code !== DUPLICATE_KEY) {
+      throw err;
+    }
+    return post.likeCount;
+  }
+  const updated = await Post.findByIdAndUpdate(
+    post._id,
+    { $inc: { likeCount: 1 } },
+    { new: true, projection: "likeCount", timestamps: false }
+  );
+  return updated.likeCount;
+};
+
+exports.unlike = async (userId, post) => {
+  const result = await Like.deleteOne({ user: userId, post: post._id });
+  if (result.deletedCount === 0) {
+    return post.likeCount;
+  }
+  const updated = await Post.findByIdAndUpdate(
+    post._id,
+    { $inc: { likeCount: -1 } },
+    { new: true, projection: "likeCount", timestamps: false }
+  );
+  return updated.likeCount;
+};
+
+exports.bookmark = async (userId, post) => {
+  await Bookmark.updateOne(
+    { user: userId, post: post._id },
+    { $setOnInsert: { user: userId, post: post._id } },
+    { upsert: true }
+  );
+};
+
+exports.unbookmark = async (userId, post) => {
+  await Bookmark.deleteOne({ user: userId, post: post._id });
+};
+
+// Cleans up after deleted posts.
+exports.removeForPosts = async (postIds) => {
+  await Like.deleteMany({ post: { $in: postIds } });
+  await Bookmark.deleteMany({ post: { $in: postIds } });
+};
+
+// Cleans up after a deleted user, taking their likes off the like counts.
+exports.removeForUser = async (userId) => {
+  const likes = await Like.find({ user: userId }, "post");
+  await Post.updateMany(
+    { _id: { $in: likes.map((like) => like.post) } },
+    { $inc: { likeCount: -1 } },
+    { timestamps: false }
+  );
+  await Like.deleteMany({ user: userId });
+  await Bookmark.deleteMany({ user: userId });
+};
@@ -0,0 +1,60 @@
+const config = require("../config");
+const Post = require("../models/post");
+const events = require("./events");
+const trash = require("./trash");
+const webhooks = require("./webhooks");
+
+// Background jobs of the app, run one after another on a fixed interval. Every instance of
+// the app runs them, so jobs must be safe to run concurrently (see Post.publishDue).
+
+const jobs = [];
+
+let timer = null;
+let running = false;
+
+// Registers `run`, an async function called on every tick.
+exports.addJob = (name, run) => {
+  jobs.push({ name, run });
+};
+
+// Runs all jobs once. A failing job is logged and does not stop the others.
+exports.tick = async () => {
+  if (running) {
+    return;
+  }
+  running = true;
+  try {
+    for (const job of jobs) {
+      try {
+        await job.run();
+      } catch (err) {
+        console.error(`Scheduled job "${job.name}" failed:`, err);
+      }
+    }
+  } finally {
+    running = false;
+  }
+};
+
+exports.start = (intervalMs = config.scheduler.intervalMs) => {
+  if (timer) {
+    return;
+  }
+  timer = setInterval(exports.tick, intervalMs);
+  timer.unref();
+  exports.tick();
+};
+
+exports.stop = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+exports.addJob("publish-due-posts", async () => {
+  const published = await Post.publishDue();
+  for (const post of published) {
+    await events.publish("post.published", { post: post });
+  }
+});
+exports.addJob("purge-trash", () => trash.purgeExpired());
+exports.addJob("deliver-webhooks", () => webhooks.deliverDue());
@@ -0,0 +1,18 @@
+const fs = require("fs/promises");
+const path = require("path");
+
+// Stores files on the local disk below `directory`. They are served by app.js under `publicPath`.
+module.exports = ({ directory, publicPath }) => {
+  const filePath = (key) => path.join(directory, ...key.split("/"));
+
+  return {
+    save: async (key, buffer) => {
+      await fs.mkdir(path.dirname(filePath(key)), { recursive: true });
+      await fs.writeFile(filePath(key), buffer);
+    },
+    remove: async (key) => {
+      await fs.rm(filePath(key), { force: true });
+    },
+    url: (key) => `${publicPath}/${key}`,
+  };
+};
@@ -0,0 +1,31 @@
+const config = require("../config");
+
+const backends = {
+  local: require("./storage-backends/local"),
+};
+
+let backend;
+
+const getBackend = () => {
+  if (!backend) {
+    const createBackend = backends[config.storage.backend];
+    if (!createBackend) {
+      throw new Error(`Unknown storage backend "${config.storage.backend}".`);
+    }
+    backend = createBackend(config.storage);
+  }
+  return backend;
+};
+
+// Replaces the storage backend, e.g. with an object storage client. A backend implements
+// async save(key, buffer, contentType), async remove(key) and url(key).
+exports.setBackend = (customBackend) => {
+  backend = customBackend;
+};
+
+exports.save = (key, buffer, contentType) =>
+  getBackend().save(key, buffer, contentType);
+
+exports.remove = (key) => getBackend().remove(key);
+
+exports.url = (key) => getBackend().url(key);
@@ -0,0 +1,123 @@
+const events = require("./events");
+const { AppError } = require("../util/errors");
+const { isListed } = require("../util/visibility");
+const { serializePost, viewFor } = require("../serializers/post");
+
+// Server-Sent Events for GET /feed/stream. Post events of services/events.js are sent to the
+// connected clients whose feed lists the post, following the rules of postVisibilityFilter:
+// anonymous clients and users get published posts, admins also pending submissions.
+//
+// Clients receive:
+//   post.created, post.updated, post.approved, post.published  { post }  add or replace it
+//   post.deleted, post.unpublished                             { post: { _id } }  remove it
+//   unauthorized  { message, code }  the token is no longer accepted, the stream ends
+// The listeners are registered when this module is loaded.
+
+const HEARTBEAT_MS = 25 * 1000;
+
+const clients = new Set();
+let heartbeat = null;
+
+const send = (client, name, data) => {
+  client.res.write(`event: ${name}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+const removeClient = (client) => {
+  clients.delete(client);
+  if (clients.size === 0) {
+    clearInterval(heartbeat);
+    heartbeat = null;
+  }
+};
+
+// Checks authenticated clients again, so connections do not outlive their access token, a
+// logout or a ban, and role changes apply. Clients whose token is refused get an
+// `unauthorized` event and are disconnected.
+exports.revalidateClients = () =>
+  Promise.all(
+    [...clients]
+      .filter((client) => client.revalidate)
+      .map(async (client) => {
+        try {
+          client.user = await client.revalidate();
+        } catch (err) {
+          // Other errors, e.g. of the database, leave the connection to the next check.
+          if (!(err instanceof AppError)) {
+            console.error("Stream client check failed:", err);
+            return;
+          }
+          if (clients.has(client)) {
+            send(client, "unauthorized", { message: err.message, code: err.code });
+            removeClient(client);
+            client.res.end();
+          }
+        }
+      })
+  );
+
+// Registers the response of a stream request. `user` is null for anonymous clients;
+// `revalidate` resolves to the current user of authenticated ones and rejects once their
+// token is no longer accepted. Returns the function that removes the client again.
+exports.addClient = (res, user, revalidate) => {
+  const client = { res: res, user: user, revalidate: revalidate };
+  clients.add(client);
+
+  // Comments keep proxies from closing idle connections.
+  if (!heartbeat) {
+    heartbeat = setInterval(() => {
+      clients.forEach((c) => c.res.write(": ping\n\n"));
+      exports.revalidateClients();
+    }, HEARTBEAT_MS);
+    heartbeat.unref();
+  }
+
+  return () => removeClient(client);
+};
+
+exports.clientCount = () => clients.size;
+
+const sendPost = (name) => ({ post }) => {
+  clients.forEach((client) => {
+    if (isListed(client.user, post)) {
+      send(client, name, { post: serializePost(post, viewFor(client.user, post)) });
+    }
+  });
+};
+
+// Tells the clients that no longer list `post` to drop it. Only used for posts that have been
+// published, so no ids of hidden posts get out.
+const sendRemoved = (post) => {
+  clients.forEach((client) => {
+    if (!isListed(client.user, post)) {
+      send(client, "post.unpublished", { post: { _id: post._id } });
+    }
+  });
+};
+
+["post.created", "post.updated", "post.approved", "post.published"].forEach(
+  (name) => events.on(name, sendPost(name))
+);
+
+events.on("post.unpublished", (payload) => {
+  sendPost("post.updated")(payload);
+  if (payload.post.publishedAt) {
+    sendRemoved(payload.post);
+  }
+});
+
+// Editing a published post sends it back into review, which takes it off the public feed.
+// Clients still listing it get the post.updated event of the edit.
+events.on("post.submitted", ({ post, fromStatus }) => {
+  if (fromStatus === "approved" && post.publishedAt) {
+    sendRemoved(post);
+  }
+});
+
+// The post is already in the trash, so the clients are picked by its state before that.
+events.on("post.deleted", ({ post }) => {
+  clients.forEach((client) => {
+    if (isListed(client.user, post)) {
+      send(client, "post.deleted", { post: { _id: post._id } });
+    }
+  });
+});
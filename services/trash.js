@@ -0,0 +1,134 @@
+const config = require("../config");
+const Post = require("../models/post");
+const User = require("../models/user");
+const Comment = require("../models/comment");
+const Notification = require("../models/notification");
+const Session = require("../models/session");
+const Revision = require("../models/revision");
+const attachmentService = require("./attachments");
+const reactions = require("./reactions");
+const follows = require("./follows");
+
+// Soft deletion of posts and users (see models/plugins/soft-delete.js). Deleted documents
+// stay in the trash for `config.trash.retentionDays`; until then they can be restored,
+// afterwards the scheduler purges them for good. Attachments are only removed on purge, so
+// the files of trashed posts stay publicly served until then.
+
+// Documents deleted before this date can no longer be restored.
+exports.retentionCutoff = (now = new Date()) =>
+  new Date(now.getTime() - config.trash.retentionDays * 24 * 60 * 60 * 1000);
+
+exports.isRestorable = (doc) =>
+  !!doc.deletedAt && doc.deletedAt > exports.retentionCutoff();
+
+// When a soft-deleted document gets purged.
+exports.purgeAt = (doc) =>
+  new Date(
+    doc.deletedAt.getTime() + config.trash.retentionDays * 24 * 60 * 60 * 1000
+  );
+
+exports.trashPost = async (post, actorId) => {
+  await post.softDelete(actorId);
+  await User.updateOne({ _id: post.author }, { $pull: { posts: post._id } });
+};
+
+exports.restorePost = async (post) => {
+  await post.restore();
+  await User.updateOne({ _id: post.author }, { $addToSet: { posts: post._id } });
+};
+
+// Removes posts for good, with everything attached to them.
+exports.purgePosts = async (postIds) => {
+  if (postIds.length === 0) {
+    return;
+  }
+  await Post.deleteMany({ _id: { $in: postIds } });
+  await Comment.deleteMany({ post: { $in: postIds } });
+  await attachmentService.removeAttachments({ post: { $in: postIds } });
+  await reactions.removeForPosts(postIds);
+  await Revision.deleteMany({ post: { $in: postIds } });
+  await Notification.deleteMany({ post: { $in: postIds } });
+  await User.updateMany(
+    { posts: { $in: postIds } },
+    { $pull: { posts: { $in: postIds } } }
+  ).setOptions({ withDeleted: true });
+};
+
+// Moves a user to the trash and signs them out. Their posts move to `newAuthor` if given,
+// otherwise they are trashed with the user and come back when the user is restored.
+exports.trashUser = async (user, actorId, newAuthor) => {
+  const deletedAt = new Date();
+  const postIds = (await Post.find({ author: user._id }, "_id")).map(
+    (post) => post._id
+  );
+
+  if (newAuthor) {
+    await Post.updateMany(
+      { author: user._id },
+      { author: newAuthor._id, editedAt: deletedAt }
+    );
+    newAuthor.posts.push(...postIds);
+    await newAuthor.save();
+    user.posts = [];
+  } else {
+    await Post.updateMany(
+      { _id: { $in: postIds } },
+      { deletedAt: deletedAt, deletedBy: actorId }
+    );
+  }
+
+  await Session.updateMany(
+    { user: user._id, revokedAt: null },
+    { revokedAt: deletedAt, revokedReason: "deleted" }
+  );
+  await user.softDelete(actorId, deletedAt);
+  return postIds;
+};
+
+exports.restoreUser = async (user) => {
+  // Posts trashed together with the user share its deletion time.
+  await Post.updateMany(
+    { author: user._id, deletedAt: user.deletedAt },
+    { deletedAt: null, $unset: { deletedBy: 1 } }
+  );
+  await user.restore();
+};
+
+// Removes a user for good, with their posts, comments, reactions and follows.
+exports.purgeUser = async (user) => {
+  const postIds = (
+    await Post.find({ author: user._id }, "_id").setOptions({ withDeleted: true })
+  ).map((post) => post._id);
+  await exports.purgePosts(postIds);
+  await attachmentService.removeAttachments({ owner: user._id, post: null });
+
+  const commentIds = (await Comment.find({ author: user._id }, "_id")).map(
+    (comment) => comment._id
+  );
+  await Comment.deleteMany({
+    $or: [{ _id: { $in: commentIds } }, { ancestors: { $in: commentIds } }],
+  });
+
+  await reactions.removeForUser(user._id);
+  await follows.removeForUser(user._id);
+  await Notification.deleteMany({ user: user._id });
+  await Session.deleteMany({ user: user._id });
+  await User.deleteOne({ _id: user._id });
+  return postIds.length;
+};
+
+// Purges the posts and users whose retention period is over. Users go first, so posts
+// trashed with them are not purged twice.
+exports.purgeExpired = async (now = new Date()) => {
+  const expired = { deletedAt: { $ne: null, $lte: exports.retentionCutoff(now) } };
+
+  const users = await User.find(expired);
+  for (const user of users) {
+    await exports.purgeUser(user);
+  }
+
+  const postIds = (await Post.find(expired, "_id")).map((post) => post._id);
+  await exports.purgePosts(postIds);
+
+  return { users: users.length, posts: postIds.length };
+};
@@ -0,0 +1,188 @@
+const crypto = require("crypto");
+
+const config = require("../config");
+const Webhook = require("../models/webhook");
+const WebhookDelivery = require("../models/webhook-delivery");
+const events = require("./events");
+const { serializePost } = require("../serializers/post");
+
+// Sends post events of services/events.js to the registered webhooks. Every event becomes
+// one WebhookDelivery per subscribed webhook; the first attempt starts right away, failed
+// ones are retried by the scheduler with exponential backoff.
+//
+// Requests are JSON POSTs with these headers:
+//   X-Webhook-Event      event name
+//   X-Webhook-Delivery   delivery id, the same for all attempts
+//   X-Webhook-Timestamp  seconds since the epoch
+//   X-Webhook-Signature  "sha256=" + hex HMAC-SHA256 of "<timestamp>.<body>" keyed with the secret
+// The listeners are registered when this module is loaded.
+
+exports.EVENTS = ["post.created", "post.updated", "post.deleted", "post.approved"];
+
+exports.TEST_EVENT = "webhook.test";
+
+// A claimed delivery is not picked up by other instances for this long.
+const LEASE_MS = 60 * 1000;
+const MAX_ERROR_LENGTH = 500;
+
+exports.generateSecret = () => crypto.randomBytes(32).toString("hex");
+
+exports.sign = (secret, timestamp, body) =>
+  "sha256=" +
+  crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+
+// Delay before the attempt after `attempts` failed ones.
+exports.backoff = (attempts) => config.webhooks.retryBaseMs * 2 ** (attempts - 1);
+
+// Takes a due delivery for this instance. Resolves to null if another instance was faster.
+const claim = (delivery, now) =>
+  WebhookDelivery.findOneAndUpdate(
+    {
+      _id: delivery._id,
+      status: "pending",
+      nextAttemptAt: delivery.nextAttemptAt,
+    },
+    { nextAttemptAt: new Date(now.getTime() + LEASE_MS) },
+    { new: true }
+  );
+
+// Sends the request. Resolves to `{ ok, status, error }`, network errors included.
+const send = async (webhook, delivery) => {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "blog-api-webhooks",
+        "X-Webhook-Event": delivery.event,
+        "X-Webhook-Delivery": delivery._id.toString(),
+        "X-Webhook-Timestamp": String(timestamp),
+        "X-Webhook-Signature": exports.sign(webhook.secret, timestamp, body),
+      },
+      body: body,
+      signal: AbortSignal.timeout(config.webhooks.timeoutMs),
+      redirect: "manual",
+    });
+    if (response.ok) {
+      return { ok: true, status: response.status };
+    }
+    const text = await response.text().catch(() => "");
+    return {
+      ok: false,
+      status: response.status,
+      error: text.slice(0, MAX_ERROR_LENGTH) || response.statusText,
+    };
+  } catch (err) {
+    return { ok: false, error: (err.cause || err).message };
+  }
+};
+
+// Makes one attempt of a claimed delivery and records the outcome. Without `retry` a
+// failed attempt fails the delivery.
+exports.attempt = async (delivery, webhook, retry = true) => {
+  const result = await send(webhook, delivery);
+  const now = new Date();
+
+  delivery.attempts += 1;
+  delivery.lastAttemptAt = now;
+  delivery.responseStatus = result.status;
+  if (result.ok) {
+    delivery.status = "succeeded";
+    delivery.deliveredAt = now;
+    delivery.nextAttemptAt = undefined;
+    delivery.error = undefined;
+  } else {
+    delivery.error = result.error;
+    if (!retry || delivery.attempts >= config.webhooks.maxAttempts) {
+      delivery.status = "failed";
+      delivery.nextAttemptAt = undefined;
+    } else {
+      delivery.nextAttemptAt = new Date(
+        now.getTime() + exports.backoff(delivery.attempts)
+      );
+    }
+  }
+  await delivery.save();
+  return delivery;
+};
+
+// Runs the pending deliveries that are due. Deliveries of deleted or deactivated webhooks
+// are given up.
+exports.deliverDue = async (now = new Date()) => {
+  const due = await WebhookDelivery.find({
+    status: "pending",
+    nextAttemptAt: { $lte: now },
+  })
+    .sort({ nextAttemptAt: 1 })
+    .limit(100);
+
+  let attempted = 0;
+  for (const candidate of due) {
+    const delivery = await claim(candidate, now);
+    if (!delivery) {
+      continue;
+    }
+    const webhook = await Webhook.findById(delivery.webhook);
+    if (!webhook || !webhook.active) {
+      delivery.status = "failed";
+      delivery.nextAttemptAt = undefined;
+      delivery.error = "Webhook was deleted or deactivated.";
+      await delivery.save();
+      continue;
+    }
+    await exports.attempt(delivery, webhook);
+    attempted += 1;
+  }
+  return attempted;
+};
+
+// `nextAttemptAt` is left out for deliveries the scheduler should not pick up.
+const createDelivery = (webhook, event, data, nextAttemptAt) => {
+  const delivery = new WebhookDelivery({
+    webhook: webhook._id,
+    event: event,
+    nextAttemptAt: nextAttemptAt,
+  });
+  delivery.payload = {
+    id: delivery._id.toString(),
+    event: event,
+    createdAt: new Date().toISOString(),
+    data: data,
+  };
+  return delivery.save();
+};
+
+// Queues `event` for every active webhook subscribed to it and starts the first attempts
+// without waiting for them, so slow receivers do not hold up the request.
+exports.dispatch = async (event, data) => {
+  const webhooks = await Webhook.find({ active: true, events: event });
+  for (const webhook of webhooks) {
+    const delivery = await createDelivery(webhook, event, data, new Date());
+    claim(delivery, delivery.nextAttemptAt)
+      .then((claimed) => claimed && exports.attempt(claimed, webhook))
+      .catch((err) => console.error("Webhook delivery failed:", err));
+  }
+  return webhooks.length;
+};
+
+// Sends a test event to `webhook` and waits for the outcome. Test deliveries are not retried.
+exports.testFire = async (webhook) => {
+  const delivery = await createDelivery(webhook, exports.TEST_EVENT, {
+    webhook: webhook._id.toString(),
+    message: "This is a test delivery.",
+  });
+  return exports.attempt(delivery, webhook, false);
+};
+
+// Drafts are private to their author until they are submitted, so none of their events
+// leave the application.
+exports.EVENTS.forEach((event) => {
+  events.on(event, ({ post }) =>
+    post.status === "draft"
+      ? undefined
+      : exports.dispatch(event, { post: serializePost(post, "admin") })
+  );
+});
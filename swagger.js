@@ -1,5 +1,8 @@
 const swaggerJsDoc = require('swagger-jsdoc');
 const swaggerUi = require('swagger-ui-express');
+const path = require('path');
+
+const config = require('./config');
 
 const swaggerOptions = {
   definition: {
@@ -11,7 +14,7 @@ const swaggerOptions = {
     },
     servers: [
       {
-        url: 'http://localhost:8080',
+        url: config.appUrl,
       },
     ],
     components: {
@@ -22,9 +25,20 @@ const swaggerOptions = {
           bearerFormat: 'JWT',
         },
       },
+      schemas: {
+        Error: {
+          type: 'object',
+          properties: {
+            message: { type: 'string' },
+            code: { type: 'string', example: 'NOT_FOUND' },
+            data: { description: 'Details, e.g. the failed validations' },
+            requestId: { type: 'string' },
+          },
+        },
+      },
     },
   },
-  apis: ['./routes/*.js'],
+  apis: [path.join(__dirname, 'routes', '*.js')],
 };
 
 
@@ -0,0 +1,215 @@
+const request = require("supertest");
+
+const helpers = require("./helpers");
+const User = require("../models/user");
+
+const { app, auth } = helpers;
+
+beforeAll(helpers.connect);
+afterEach(helpers.clear);
+afterAll(helpers.disconnect);
+
+describe("PUT /auth/register", () => {
+  it("creates an unverified user and mails a verification token", async () => {
+    const email = helpers.uniqueEmail();
+    const res = await request(app).put("/auth/register").send({
+      email: email,
+      password: "whatever",
+      firstName: "grg",
+      lastName: "ziv",
+    });
+
+    expect(res.status).toBe(201);
+    const user = await User.findById(res.body.userId);
+    expect(user.emailVerified).toBe(false);
+    expect(user.password).not.toBe("whatever");
+    expect(helpers.lastMailToken(email)).toBeTruthy();
+  });
+
+  it("blocks login until the email is verified", async () => {
+    const email = helpers.uniqueEmail();
+    await request(app).put("/auth/register").send({
+      email: email,
+      password: "whatever",
+      firstName: "grg",
+      lastName: "ziv",
+    });
+
+    let res = await request(app)
+      .post("/auth/login")
+      .send({ email: email, password: "whatever" });
+    expect(res.status).toBe(403);
+
+    res = await request(app)
+      .post("/auth/verify-email")
+      .send({ token: helpers.lastMailToken(email) });
+    expect(res.status).toBe(200);
+
+    res = await request(app)
+      .post("/auth/login")
+      .send({ email: email, password: "whatever" });
+    expect(res.status).toBe(200);
+  });
+});
+
+describe("POST /auth/login", () => {
+  it("returns an access and a refresh token", async () => {
+    const user = await helpers.createUser();
+
+    const body = await helpers.login(user);
+
+    expect(body.token).toBeTruthy();
+    expect(body.refreshToken).toBeTruthy();
+    expect(body.userId).toBe(user._id.toString());
+  });
+
+  it("answers the same for unknown emails and wrong passwords", async () => {
+    const user = await helpers.createUser();
+
+    const wrongPassword = await request(app)
+      .post("/auth/login")
+      .send({ email: user.email, password: "wrong-password" });
+    const unknownEmail = await request(app)
+      .post("/auth/login")
+      .send({ email: "nobody@test.com", password: "whatever" });
+
+    expect(wrongPassword.status).toBe(401);
+    expect(unknownEmail.status).toBe(401);
+    expect(wrongPassword.body.message).toBe(unknownEmail.body.message);
+  });
+
+  it("rejects an email that is not a string", async () => {
+    const user = await helpers.createUser();
+
+    const res = await request(app)
+      .post("/auth/login")
+      .send({ email: { $ne: null }, password: "wrong-password" });
+
+    expect(res.status).toBe(422);
+    expect((await User.findById(user._id)).failedLoginAttempts).toBe(0);
+  });
+
+  it("locks the account after repeated failures", async () => {
+    const user = await helpers.createUser();
+    for (let i = 0; i < 5; i++) {
+      await request(app)
+        .post("/auth/login")
+        .send({ email: user.email, password: "wrong-password" });
+    }
+
+    const res = await request(app)
+      .post("/auth/login")
+      .send({ email: user.email, password: helpers.PASSWORD });
+
+    expect(res.status).toBe(429);
+  });
+});
+
+describe("sessions", () => {
+  it("rotates refresh tokens and rejects the rotated-out access token", async () => {
+    const user = await helpers.createUser();
+    const first = await helpers.login(user);
+
+    const res = await request(app)
+      .post("/auth/refresh")
+      .send({ refreshToken: first.refreshToken });
+    expect(res.status).toBe(200);
+    expect(res.body.refreshToken).not.toBe(first.refreshToken);
+
+    const oldToken = await request(app)
+      .patch("/users/me")
+      .set(auth(first.token))
+      .send({ firstName: "Old" });
+    expect(oldToken.status).toBe(401);
+
+    const newToken = await request(app)
+      .patch("/users/me")
+      .set(auth(res.body.token))
+      .send({ firstName: "New" });
+    expect(newToken.status).toBe(200);
+  });
+
+  it("revokes the session when a used refresh token is replayed", async () => {
+    const user = await helpers.createUser();
+    const first = await helpers.login(user);
+
+    const rotated = await request(app)
+      .post("/auth/refresh")
+      .send({ refreshToken: first.refreshToken });
+    const replay = await request(app)
+      .post("/auth/refresh")
+      .send({ refreshToken: first.refreshToken });
+    const afterReplay = await request(app)
+      .post("/auth/refresh")
+      .send({ refreshToken: rotated.body.refreshToken });
+
+    expect(replay.status).toBe(401);
+    expect(afterReplay.status).toBe(401);
+  });
+
+  it("logs out the current session only", async () => {
+    const user = await helpers.createUser();
+    const laptop = await helpers.login(user);
+    const phone = await helpers.login(user);
+
+    const res = await request(app).post("/auth/logout").set(auth(laptop.token));
+    expect(res.status).toBe(200);
+
+    expect(
+      (await request(app).post("/auth/logout").set(auth(laptop.token))).status
+    ).toBe(401);
+    expect(
+      (await request(app).post("/auth/logout").set(auth(phone.token))).status
+    ).toBe(200);
+  });
+
+  it("logs out everywhere", async () => {
+    const user = await helpers.createUser();
+    const laptop = await helpers.login(user);
+    const phone = await helpers.login(user);
+
+    const res = await request(app)
+      .post("/auth/logout-all")
+      .set(auth(laptop.token));
+    expect(res.body.revokedSessions).toBe(2);
+
+    const refresh = await request(app)
+      .post("/auth/refresh")
+      .send({ refreshToken: phone.refreshToken });
+    expect(refresh.status).toBe(401);
+  });
+});
+
+describe("password reset", () => {
+  it("resets the password once with the mailed token", async () => {
+    const user = await helpers.createUser();
+
+    await request(app)
+      .post("/auth/forgot-password")
+      .send({ email: user.email });
+    const token = helpers.lastMailToken(user.email);
+    expect(helpers.lastMail(user.email).text).toContain(
+      `http://localhost:3000/reset-password?token=${token}`
+    );
+
+    const res = await request(app)
+      .post("/auth/reset-password")
+      .send({ token: token, password: "new-password" });
+    expect(res.status).toBe(200);
+
+    const reused = await request(app)
+      .post("/auth/reset-password")
+      .send({ token: token, password: "other-password" });
+    expect(reused.status).toBe(400);
+
+    expect((await helpers.login(user, "new-password")).token).toBeTruthy();
+  });
+
+  it("does not reveal unknown addresses", async () => {
+    const res = await request(app)
+      .post("/auth/forgot-password")
+      .send({ email: "nobody@test.com" });
+
+    expect(res.status).toBe(200);
+  });
+});
@@ -0,0 +1,122 @@
+const request = require("supertest");
+
+const helpers = require("./helpers");
+const Post = require("../models/post");
+const scheduler = require("../services/scheduler");
+
+const { app, auth } = helpers;
+
+beforeAll(helpers.connect);
+afterEach(helpers.clear);
+afterAll(helpers.disconnect);
+
+const titles = (res) => res.body.posts.map((post) => post.title);
+
+describe("drafts", () => {
+  it("are hidden from admins until submitted", async () => {
+    const admin = await helpers.createUser({ role: "ADMIN" });
+    const blogger = await helpers.createUser({ role: "BLOGGER" });
+    const adminToken = await helpers.tokenFor(admin);
+    const bloggerToken = await helpers.tokenFor(blogger);
+
+    const created = await helpers.createPost(bloggerToken, { draft: true });
+    const postId = created.body.post._id;
+
+    expect(created.body.post.status).toBe("draft");
+
+    const adminFeed = await request(app).get("/feed/posts").set(auth(adminToken));
+    const adminGet = await request(app)
+      .get(`/feed/post/${postId}`)
+      .set(auth(adminToken));
+    const requests = await request(app)
+      .get("/feed/post-requests")
+      .set(auth(adminToken));
+    const ownFeed = await request(app).get("/feed/posts").set(auth(bloggerToken));
+
+    expect(titles(adminFeed)).toEqual([]);
+    expect(adminGet.status).toBe(404);
+    expect(titles(requests)).toEqual([]);
+    expect(titles(ownFeed)).toEqual(["A test post"]);
+
+    await request(app)
+      .post(`/feed/post/${postId}/submit`)
+      .set(auth(bloggerToken));
+    const afterSubmit = await request(app)
+      .get("/feed/post-requests")
+      .set(auth(adminToken));
+
+    expect(titles(afterSubmit)).toEqual(["A test post"]);
+  });
+});
+
+describe("scheduled publishing", () => {
+  it("keeps approved posts hidden until publishAt", async () => {
+    const blogger = await helpers.createUser({ role: "BLOGGER" });
+    const publishAt = new Date(Date.now() + 60 * 60 * 1000);
+    const post = await Post.create({
+      title: "Scheduled post",
+      content: "Goes live later",
+      author: blogger._id,
+      status: "approved",
+      publishAt: publishAt,
+    });
+
+    expect(post.allowed).toBe(false);
+    expect(titles(await request(app).get("/feed/posts"))).toEqual([]);
+
+    await Post.publishDue(new Date(publishAt.getTime() + 1000));
+
+    const published = await Post.findById(post._id);
+    expect(published.allowed).toBe(true);
+    expect(published.publishedAt).toEqual(publishAt);
+  });
+
+  it("is run by the scheduler", async () => {
+    const blogger = await helpers.createUser({ role: "BLOGGER" });
+    const post = await Post.create({
+      title: "Scheduled post",
+      content: "Goes live later",
+      author: blogger._id,
+      status: "approved",
+      publishAt: new Date(Date.now() + 60 * 60 * 1000),
+    });
+    // Pretend the publish time has passed.
+    await Post.updateOne({ _id: post._id }, { publishAt: new Date(Date.now() - 1000) });
+
+    await scheduler.tick();
+
+    expect(titles(await request(app).get("/feed/posts"))).toEqual(["Scheduled post"]);
+  });
+
+  it("lets the author schedule an approved post without a new review", async () => {
+    const blogger = await helpers.createUser({ role: "BLOGGER" });
+    const token = await helpers.tokenFor(blogger);
+    const post = await Post.create({
+      title: "Approved post",
+      content: "Waiting to go live",
+      author: blogger._id,
+      status: "pending",
+    });
+    const publishAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+    const res = await request(app)
+      .put(`/feed/post/${post._id}/schedule`)
+      .set(auth(token))
+      .send({ publishAt: publishAt });
+
+    expect(res.status).toBe(200);
+    expect(res.body.post.status).toBe("pending");
+    expect(res.body.post.publishAt).toBe(publishAt);
+  });
+
+  it("rejects publish times in the past", async () => {
+    const blogger = await helpers.createUser({ role: "BLOGGER" });
+    const token = await helpers.tokenFor(blogger);
+
+    const res = await helpers.createPost(token, {
+      publishAt: new Date(Date.now() - 1000).toISOString(),
+    });
+
+    expect(res.status).toBe(422);
+  });
+});
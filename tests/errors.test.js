@@ -0,0 +1,105 @@
+const jwt = require("jsonwebtoken");
+const request = require("supertest");
+
+const config = require("../config");
+const helpers = require("./helpers");
+
+const { app, auth } = helpers;
+
+beforeAll(helpers.connect);
+afterEach(helpers.clear);
+afterAll(helpers.disconnect);
+
+describe("error responses", () => {
+  it("answers unknown routes with the error shape and a request id", async () => {
+    const res = await request(app).get("/does-not-exist");
+
+    expect(res.status).toBe(404);
+    expect(res.body.code).toBe("ROUTE_NOT_FOUND");
+    expect(res.body.requestId).toBe(res.headers["x-request-id"]);
+  });
+
+  it("reuses the incoming request id", async () => {
+    const res = await request(app)
+      .get("/does-not-exist")
+      .set("X-Request-Id", "trace-123");
+
+    expect(res.headers["x-request-id"]).toBe("trace-123");
+    expect(res.body.requestId).toBe("trace-123");
+  });
+
+  it("rejects malformed ids with 400", async () => {
+    const user = await helpers.createUser();
+    const token = await helpers.tokenFor(user);
+
+    const post = await request(app).get("/feed/post/not-an-id").set(auth(token));
+    const comments = await request(app).get("/feed/post/not-an-id/comments");
+    const profile = await request(app).get("/users/42").set(auth(token));
+
+    [post, comments, profile].forEach((res) => {
+      expect(res.status).toBe(400);
+      expect(res.body.code).toBe("INVALID_ID");
+    });
+  });
+
+  it("answers 404 for a valid id without a post", async () => {
+    const user = await helpers.createUser();
+    const token = await helpers.tokenFor(user);
+
+    const res = await request(app)
+      .get("/feed/post/5f50c31b1c9d440000a1b2c3")
+      .set(auth(token));
+
+    expect(res.status).toBe(404);
+    expect(res.body.code).toBe("NOT_FOUND");
+  });
+
+  it("answers 401 for expired and invalid tokens", async () => {
+    const user = await helpers.createUser();
+    const { token } = await helpers.login(user);
+    const { sid, gen } = jwt.decode(token);
+    const expired = jwt.sign(
+      { email: user.email, userId: user._id.toString(), sid: sid, gen: gen },
+      config.jwt.secret,
+      { expiresIn: -10 }
+    );
+
+    const expiredRes = await request(app).post("/auth/logout").set(auth(expired));
+    const invalidRes = await request(app).post("/auth/logout").set(auth("garbage"));
+
+    expect(expiredRes.status).toBe(401);
+    expect(expiredRes.body.code).toBe("TOKEN_EXPIRED");
+    expect(invalidRes.status).toBe(401);
+    expect(invalidRes.body.code).toBe("INVALID_TOKEN");
+  });
+
+  it("includes the failed validations when creating a post", async () => {
+    const blogger = await helpers.createUser({ role: "BLOGGER" });
+    const token = await helpers.tokenFor(blogger);
+
+    const res = await helpers.createPost(token, { title: "x" });
+
+    expect(res.status).toBe(422);
+    expect(res.body.code).toBe("VALIDATION_FAILED");
+    expect(res.body.data.map((error) => error.path)).toContain("title");
+  });
+
+  it("answers validation errors on register instead of hanging", async () => {
+    const res = await request(app)
+      .put("/auth/register")
+      .send({ email: "not-an-email", password: "x" });
+
+    expect(res.status).toBe(422);
+    expect(Array.isArray(res.body.data)).toBe(true);
+  });
+
+  it("rejects malformed JSON with 400", async () => {
+    const res = await request(app)
+      .post("/auth/login")
+      .set("Content-Type", "application/json")
+      .send("{not json");
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe("INVALID_JSON");
+  });
+});
@@ -0,0 +1,335 @@
+const request = require("supertest");
+
+const helpers = require("./helpers");
+const Post = require("../models/post");
+const User = require("../models/user");
+
+const { app, auth } = helpers;
+
+beforeAll(helpers.connect);
+afterEach(helpers.clear);
+afterAll(helpers.disconnect);
+
+// One approved post by a blogger, one pending post by a user and a token for each role.
+const seed = async () => {
+  const admin = await helpers.createUser({ role: "ADMIN" });
+  const blogger = await helpers.createUser({ role: "BLOGGER" });
+  const user = await helpers.createUser();
+
+  const tokens = {
+    admin: await helpers.tokenFor(admin),
+    blogger: await helpers.tokenFor(blogger),
+    user: await helpers.tokenFor(user),
+  };
+
+  const approved = await Post.create({
+    title: "Approved post",
+    content: "Visible to everybody",
+    author: blogger._id,
+    status: "approved",
+  });
+  const pending = await Post.create({
+    title: "Pending post",
+    content: "Waiting for review",
+    author: user._id,
+  });
+
+  return { admin, blogger, user, tokens, approved, pending };
+};
+
+const titles = (res) => res.body.posts.map((post) => post.title).sort();
+
+describe("GET /feed/posts", () => {
+  it("shows only allowed posts to anonymous callers", async () => {
+    await seed();
+
+    const res = await request(app).get("/feed/posts");
+
+    expect(res.status).toBe(200);
+    expect(titles(res)).toEqual(["Approved post"]);
+  });
+
+  it("shows only allowed posts to users", async () => {
+    const { tokens } = await seed();
+
+    const res = await request(app).get("/feed/posts").set(auth(tokens.user));
+
+    expect(titles(res)).toEqual(["Approved post"]);
+  });
+
+  it("shows bloggers their own posts", async () => {
+    const { tokens, blogger } = await seed();
+    await Post.create({
+      title: "Blogger draft",
+      content: "Not approved yet",
+      author: blogger._id,
+    });
+
+    const res = await request(app).get("/feed/posts").set(auth(tokens.blogger));
+
+    expect(titles(res)).toEqual(["Approved post", "Blogger draft"]);
+  });
+
+  it("shows admins all posts", async () => {
+    const { tokens } = await seed();
+
+    const res = await request(app).get("/feed/posts").set(auth(tokens.admin));
+
+    expect(titles(res)).toEqual(["Approved post", "Pending post"]);
+  });
+
+  it("returns an empty page with 200", async () => {
+    const res = await request(app).get("/feed/posts");
+
+    expect(res.status).toBe(200);
+    expect(res.body.posts).toEqual([]);
+    expect(res.body.pageInfo.hasMore).toBe(false);
+  });
+
+  it("pages through posts with cursors", async () => {
+    const { blogger } = await seed();
+    for (let i = 0; i < 5; i++) {
+      await Post.create({
+        title: `Approved post ${i}`,
+        content: "Visible to everybody",
+        author: blogger._id,
+        status: "approved",
+      });
+    }
+
+    const first = await request(app).get("/feed/posts?limit=4");
+    const second = await request(app).get(
+      `/feed/posts?limit=4&after=${first.body.pageInfo.nextCursor}`
+    );
+
+    expect(first.body.posts).toHaveLength(4);
+    expect(first.body.pageInfo.hasMore).toBe(true);
+    expect(second.body.posts).toHaveLength(2);
+    expect(second.body.pageInfo.hasMore).toBe(false);
+    expect(first.body.pageInfo.totalItems).toBe(6);
+  });
+
+  it("searches within the visible posts", async () => {
+    await seed();
+
+    const hidden = await request(app).get("/feed/posts?q=review");
+    const visible = await request(app).get("/feed/posts?q=everybody");
+
+    expect(hidden.body.posts).toEqual([]);
+    expect(titles(visible)).toEqual(["Approved post"]);
+  });
+});
+
+describe("post requests", () => {
+  it("lists pending posts for admins only", async () => {
+    const { tokens } = await seed();
+
+    const forUser = await request(app)
+      .get("/feed/post-requests")
+      .set(auth(tokens.user));
+    const forAdmin = await request(app)
+      .get("/feed/post-requests")
+      .set(auth(tokens.admin));
+
+    expect(forUser.status).toBe(403);
+    expect(titles(forAdmin)).toEqual(["Pending post"]);
+  });
+
+  it("lists posts stored before the status field once it is backfilled", async () => {
+    const { tokens, blogger } = await seed();
+    await Post.collection.insertMany([
+      { title: "Old pending", content: "Stored long ago", author: blogger._id, allowed: false },
+      { title: "Old approved", content: "Stored long ago", author: blogger._id, allowed: true },
+    ]);
+
+    expect(await Post.backfillStatus()).toBe(2);
+    const res = await request(app)
+      .get("/feed/post-requests")
+      .set(auth(tokens.admin));
+
+    expect(titles(res)).toEqual(["Old pending", "Pending post"]);
+    expect((await Post.findOne({ title: "Old approved" })).status).toBe("approved");
+  });
+
+  it("approves a post and promotes its author to BLOGGER", async () => {
+    const { tokens, pending, user } = await seed();
+
+    const res = await request(app)
+      .post(`/feed/post-request/${pending._id}`)
+      .set(auth(tokens.admin));
+
+    expect(res.status).toBe(200);
+    expect(res.body.post.status).toBe("approved");
+    expect(res.body.authorPromoted).toBe(true);
+    expect((await User.findById(user._id)).role).toBe("BLOGGER");
+  });
+
+  it("does not let users approve posts", async () => {
+    const { tokens, pending } = await seed();
+
+    const res = await request(app)
+      .post(`/feed/post-request/${pending._id}`)
+      .set(auth(tokens.user));
+
+    expect(res.status).toBe(403);
+    expect((await Post.findById(pending._id)).allowed).toBe(false);
+  });
+
+  it("rejects a post with a reason the author can read", async () => {
+    const { tokens, pending } = await seed();
+
+    await request(app)
+      .post(`/feed/post-request/${pending._id}/reject`)
+      .set(auth(tokens.admin))
+      .send({ reason: "Off topic" });
+    const res = await request(app)
+      .get(`/feed/post/${pending._id}/moderation-history`)
+      .set(auth(tokens.user));
+
+    expect(res.body.status).toBe("rejected");
+    expect(res.body.history[0].reason).toBe("Off topic");
+  });
+});
+
+describe("POST /feed/post", () => {
+  it("creates a pending post", async () => {
+    const user = await helpers.createUser();
+    const token = await helpers.tokenFor(user);
+
+    const res = await helpers.createPost(token, { title: "USER POST" });
+
+    expect(res.status).toBe(201);
+    expect(res.body.post.status).toBe("pending");
+    expect((await User.findById(user._id)).posts).toHaveLength(1);
+  });
+
+  it("requires authentication", async () => {
+    const res = await request(app)
+      .post("/feed/post")
+      .send({ title: "USER POST", content: "A POST!" });
+
+    expect(res.status).toBe(401);
+  });
+});
+
+describe("PUT /feed/post/:postId", () => {
+  it("lets only the author update a post", async () => {
+    const { tokens, approved } = await seed();
+
+    const res = await request(app)
+      .put(`/feed/post/${approved._id}`)
+      .set(auth(tokens.user))
+      .send({ title: "Not my post", content: "Trying anyway" });
+
+    expect(res.status).toBe(403);
+  });
+
+  it("sends an edited approved post back to review", async () => {
+    const { tokens, approved } = await seed();
+
+    const res = await request(app)
+      .put(`/feed/post/${approved._id}`)
+      .set(auth(tokens.blogger))
+      .send({ title: "USER POST UPDATE", content: "UPDATED" });
+
+    expect(res.status).toBe(200);
+    expect(res.body.post.status).toBe("pending");
+    expect(res.body.post.allowed).toBe(false);
+  });
+});
+
+describe("DELETE /feed/post/:postId", () => {
+  it("does not let other users delete a post", async () => {
+    const { tokens, approved } = await seed();
+
+    const res = await request(app)
+      .delete(`/feed/post/${approved._id}`)
+      .set(auth(tokens.user));
+
+    expect(res.status).toBe(403);
+    expect(await Post.findById(approved._id)).not.toBeNull();
+  });
+
+  it("lets the author delete a post", async () => {
+    const { tokens, approved, blogger } = await seed();
+
+    const res = await request(app)
+      .delete(`/feed/post/${approved._id}`)
+      .set(auth(tokens.blogger));
+
+    expect(res.status).toBe(200);
+    expect(await Post.findById(approved._id)).toBeNull();
+    expect((await User.findById(blogger._id)).posts).toHaveLength(0);
+  });
+
+  it("lets admins delete any post", async () => {
+    const { tokens, pending } = await seed();
+
+    const res = await request(app)
+      .delete(`/feed/post/${pending._id}`)
+      .set(auth(tokens.admin));
+
+    expect(res.status).toBe(200);
+  });
+});
+
+describe("comments", () => {
+  it("hides comments on posts that are not allowed", async () => {
+    const { tokens, pending } = await seed();
+
+    const anonymous = await request(app).get(
+      `/feed/post/${pending._id}/comments`
+    );
+    const author = await request(app)
+      .get(`/feed/post/${pending._id}/comments`)
+      .set(auth(tokens.user));
+
+    expect(anonymous.status).toBe(404);
+    expect(author.status).toBe(200);
+  });
+
+  it("pages comments with the shared pagination and rejects invalid pages", async () => {
+    const { tokens, approved } = await seed();
+    for (const content of ["First", "Second", "Third"]) {
+      await request(app)
+        .post(`/feed/post/${approved._id}/comments`)
+        .set(auth(tokens.user))
+        .send({ content: content });
+    }
+
+    const first = await request(app).get(`/feed/post/${approved._id}/comments?limit=2`);
+    const next = await request(app).get(
+      `/feed/post/${approved._id}/comments?limit=2&after=${first.body.pageInfo.nextCursor}`
+    );
+    const invalid = await Promise.all(
+      ["page=0", "page=-1", "page=abc", "parent=abc"].map((params) =>
+        request(app).get(`/feed/post/${approved._id}/comments?${params}`)
+      )
+    );
+
+    expect(first.body.comments.map((comment) => comment.content)).toEqual(["First", "Second"]);
+    expect(first.body.totalItems).toBe(3);
+    expect(next.body.comments.map((comment) => comment.content)).toEqual(["Third"]);
+    expect(invalid.map((res) => res.status)).toEqual([422, 422, 422, 422]);
+  });
+
+  it("lets the post author delete a comment thread", async () => {
+    const { tokens, approved } = await seed();
+
+    const comment = await request(app)
+      .post(`/feed/post/${approved._id}/comments`)
+      .set(auth(tokens.user))
+      .send({ content: "Nice post" });
+    await request(app)
+      .post(`/feed/post/${approved._id}/comments/${comment.body.comment._id}/replies`)
+      .set(auth(tokens.admin))
+      .send({ content: "Agreed" });
+
+    const res = await request(app)
+      .delete(`/feed/post/${approved._id}/comments/${comment.body.comment._id}`)
+      .set(auth(tokens.blogger));
+
+    expect(res.status).toBe(200);
+    expect(res.body.deletedCount).toBe(2);
+  });
+});
@@ -0,0 +1,126 @@
+const request = require("supertest");
+
+const helpers = require("./helpers");
+const Post = require("../models/post");
+
+const { app, auth } = helpers;
+
+beforeAll(helpers.connect);
+afterEach(helpers.clear);
+afterAll(helpers.disconnect);
+
+describe("following", () => {
+  it("updates the counters on both profiles", async () => {
+    const reader = await helpers.createUser();
+    const blogger = await helpers.createUser({ role: "BLOGGER" });
+    const token = await helpers.tokenFor(reader);
+
+    const res = await request(app)
+      .post(`/users/${blogger._id}/follow`)
+      .set(auth(token));
+    await request(app).post(`/users/${blogger._id}/follow`).set(auth(token));
+
+    expect(res.status).toBe(200);
+    expect(res.body.followerCount).toBe(1);
+
+    const profile = await request(app)
+      .get(`/users/${blogger._id}`)
+      .set(auth(token));
+    const own = await request(app).get(`/users/${reader._id}`).set(auth(token));
+
+    expect(profile.body.user.followerCount).toBe(1);
+    expect(profile.body.user.followedByMe).toBe(true);
+    expect(own.body.user.followingCount).toBe(1);
+  });
+
+  it("does not allow following yourself", async () => {
+    const user = await helpers.createUser();
+
+    const res = await request(app)
+      .post(`/users/${user._id}/follow`)
+      .set(auth(await helpers.tokenFor(user)));
+
+    expect(res.status).toBe(409);
+  });
+
+  it("lists followers and followed users", async () => {
+    const reader = await helpers.createUser({ firstName: "Reader" });
+    const blogger = await helpers.createUser({ firstName: "Blogger" });
+    const token = await helpers.tokenFor(reader);
+    await request(app).post(`/users/${blogger._id}/follow`).set(auth(token));
+
+    const followers = await request(app)
+      .get(`/users/${blogger._id}/followers`)
+      .set(auth(token));
+    const following = await request(app)
+      .get(`/users/${reader._id}/following`)
+      .set(auth(token));
+
+    expect(followers.body.users.map((u) => u.firstName)).toEqual(["Reader"]);
+    expect(following.body.users.map((u) => u.firstName)).toEqual(["Blogger"]);
+    expect(followers.body.users[0].email).toBeUndefined();
+  });
+
+  it("removes the relation on unfollow", async () => {
+    const reader = await helpers.createUser();
+    const blogger = await helpers.createUser();
+    const token = await helpers.tokenFor(reader);
+    await request(app).post(`/users/${blogger._id}/follow`).set(auth(token));
+
+    const res = await request(app)
+      .delete(`/users/${blogger._id}/follow`)
+      .set(auth(token));
+
+    expect(res.body.followerCount).toBe(0);
+  });
+});
+
+describe("GET /feed/home", () => {
+  it("shows allowed posts of followed authors, newest first", async () => {
+    const reader = await helpers.createUser();
+    const followed = await helpers.createUser({ role: "BLOGGER" });
+    const other = await helpers.createUser({ role: "BLOGGER" });
+    const token = await helpers.tokenFor(reader);
+    await request(app).post(`/users/${followed._id}/follow`).set(auth(token));
+
+    await Post.create({
+      title: "Older post",
+      content: "From a followed author",
+      author: followed._id,
+      status: "approved",
+      createdAt: new Date(Date.now() - 60000),
+    });
+    await Post.create({
+      title: "Newer post",
+      content: "From a followed author",
+      author: followed._id,
+      status: "approved",
+    });
+    await Post.create({
+      title: "Pending post",
+      content: "Not reviewed yet",
+      author: followed._id,
+    });
+    await Post.create({
+      title: "Unfollowed post",
+      content: "From somebody else",
+      author: other._id,
+      status: "approved",
+    });
+
+    const res = await request(app).get("/feed/home").set(auth(token));
+
+    expect(res.status).toBe(200);
+    expect(res.body.posts.map((post) => post.title)).toEqual([
+      "Newer post",
+      "Older post",
+    ]);
+    expect(res.body.pageInfo.totalItems).toBe(2);
+  });
+
+  it("requires authentication", async () => {
+    const res = await request(app).get("/feed/home");
+
+    expect(res.status).toBe(401);
+  });
+});
@@ -0,0 +1,83 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const bcrypt = require("bcryptjs");
+const mongoose = require("mongoose");
+const request = require("supertest");
+const { MongoMemoryServer } = require("mongodb-memory-server");
+
+const { createApp } = require("../app");
+const User = require("../models/user");
+
+const PASSWORD = "whatever";
+
+let mongod;
+
+exports.PASSWORD = PASSWORD;
+
+exports.app = createApp();
+
+exports.connect = async () => {
+  mongod = await MongoMemoryServer.create();
+  await mongoose.connect(mongod.getUri());
+  // Text search needs its index before the first query.
+  await Promise.all(Object.values(mongoose.models).map((model) => model.init()));
+};
+
+exports.clear = async () => {
+  const collections = Object.values(mongoose.connection.collections);
+  await Promise.all(collections.map((collection) => collection.deleteMany({})));
+};
+
+exports.disconnect = async () => {
+  await mongoose.disconnect();
+  await mongod.stop();
+};
+
+// Emails are random so the mails of parallel test files never mix in the shared mail directory.
+exports.uniqueEmail = () => `${crypto.randomBytes(6).toString("hex")}@test.com`;
+
+// Creates a verified user directly in the database. The password is always PASSWORD.
+exports.createUser = async (overrides = {}) =>
+  User.create({
+    firstName: "Test",
+    lastName: "User",
+    email: exports.uniqueEmail(),
+    password: await bcrypt.hash(PASSWORD, 4),
+    emailVerified: true,
+    ...overrides,
+  });
+
+exports.login = async (user, password = PASSWORD) => {
+  const res = await request(exports.app)
+    .post("/auth/login")
+    .send({ email: user.email, password: password });
+  return res.body;
+};
+
+exports.tokenFor = async (user) => (await exports.login(user)).token;
+
+exports.auth = (token) => ({ Authorization: `Bearer ${token}` });
+
+exports.createPost = (token, data = {}) =>
+  request(exports.app)
+    .post("/feed/post")
+    .set(exports.auth(token))
+    .send({ title: "A test post", content: "Some test content", ...data });
+
+// Returns the last mail sent to `email` by the file mail transport.
+exports.lastMail = (email) => {
+  const directory = process.env.MAIL_DIR;
+  const mails = fs
+    .readdirSync(directory)
+    .map((file) => JSON.parse(fs.readFileSync(path.join(directory, file), "utf8")))
+    .filter((mail) => mail.to === email)
+    .sort((a, b) => new Date(a.sentAt) - new Date(b.sentAt));
+  return mails[mails.length - 1];
+};
+
+// Returns the token from the last mail sent to `email`.
+exports.lastMailToken = (email) => {
+  const mail = exports.lastMail(email);
+  return mail && mail.text.match(/token=([a-f0-9]+)/)[1];
+};
@@ -0,0 +1,132 @@
+const request = require("supertest");
+
+const helpers = require("./helpers");
+const markdown = require("../util/markdown");
+const Post = require("../models/post");
+
+const { app, auth } = helpers;
+
+beforeAll(helpers.connect);
+afterEach(helpers.clear);
+afterAll(helpers.disconnect);
+
+describe("markdown content", () => {
+  it("renders sanitized html, an excerpt and the reading time on create", async () => {
+    const blogger = await helpers.createUser({ role: "BLOGGER" });
+    const token = await helpers.tokenFor(blogger);
+
+    const res = await helpers.createPost(token, {
+      content:
+        "# Hello\n\nSome **bold** text <script>alert(1)</script>" +
+        ' <img src="x.png" onerror="alert(1)"> [bad](javascript:alert(1))',
+    });
+
+    expect(res.status).toBe(201);
+    expect(res.body.post.content).toBe("# Hello\n\nSome **bold** text alert(1)  bad");
+    expect(res.body.post.contentHtml).toContain("<h1>Hello</h1>");
+    expect(res.body.post.contentHtml).toContain("<strong>bold</strong>");
+    expect(res.body.post.contentHtml).not.toMatch(/<script|onerror|javascript:/);
+    expect(res.body.post.excerpt).toBe("Hello Some bold text alert(1) bad");
+    expect(res.body.post.readingTime).toBe(1);
+  });
+
+  it("renders again on update and returns the fields from getPost and getPosts", async () => {
+    const blogger = await helpers.createUser({ role: "BLOGGER" });
+    const token = await helpers.tokenFor(blogger);
+    const created = await helpers.createPost(token);
+    const postId = created.body.post._id;
+
+    await request(app)
+      .put(`/feed/post/${postId}`)
+      .set(auth(token))
+      .send({ title: "A test post", content: `*Updated* ${"word ".repeat(450)}` });
+    await Post.updateOne({ _id: postId }, { status: "approved", allowed: true });
+
+    const post = await request(app).get(`/feed/post/${postId}`).set(auth(token));
+    const posts = await request(app).get("/feed/posts");
+
+    expect(post.body.post.contentHtml).toMatch(/^<p><em>Updated<\/em> word/);
+    expect(post.body.post.excerpt.length).toBeLessThanOrEqual(201);
+    expect(post.body.post.excerpt.endsWith("…")).toBe(true);
+    expect(post.body.post.readingTime).toBe(3);
+    expect(posts.body.posts[0].contentHtml).toBe(post.body.post.contentHtml);
+    expect(posts.body.posts[0].readingTime).toBe(3);
+  });
+
+  it("renders posts stored without the rendered fields", async () => {
+    const blogger = await helpers.createUser({ role: "BLOGGER" });
+    const { _id } = await Post.create({
+      title: "Old post",
+      content: "Old _content_",
+      author: blogger._id,
+      status: "approved",
+    });
+    await Post.collection.updateOne(
+      { _id: _id },
+      {
+        $set: { content: "Old *content* <script>alert(1)</script>" },
+        $unset: { contentHtml: 1, excerpt: 1, readingTime: 1 },
+      }
+    );
+
+    const res = await request(app).get("/feed/posts");
+
+    expect(res.body.posts[0].content).toBe("Old *content* alert(1)");
+    expect(res.body.posts[0].contentHtml).toBe("<p>Old <em>content</em> alert(1)</p>\n");
+    expect(res.body.posts[0].excerpt).toBe("Old content alert(1)");
+  });
+
+  it("strips unsafe markup on update and limits the length", async () => {
+    const blogger = await helpers.createUser({ role: "BLOGGER" });
+    const token = await helpers.tokenFor(blogger);
+    const created = await helpers.createPost(token);
+
+    const updated = await request(app)
+      .put(`/feed/post/${created.body.post._id}`)
+      .set(auth(token))
+      .send({ title: "A test post", content: "Click [here](javascript:alert(1)) <b>now</b>" });
+    const tooLong = await helpers.createPost(token, {
+      content: "a".repeat(markdown.MAX_CONTENT_LENGTH + 1),
+    });
+
+    expect(updated.body.post.content).toBe("Click here now");
+    expect(tooLong.status).toBe(422);
+  });
+});
+
+describe("util/markdown", () => {
+  it("keeps safe links and marks them nofollow", () => {
+    expect(markdown.toHtml("[site](https://example.com)")).toBe(
+      '<p><a href="https://example.com" rel="nofollow noopener noreferrer">site</a></p>\n'
+    );
+  });
+
+  it("cuts excerpts at a word boundary", () => {
+    expect(markdown.excerpt("one two three", 9)).toBe("one two…");
+  });
+
+  it("keeps the text of html blocks and drops comments", () => {
+    expect(
+      markdown.stripUnsafe("<p>My long paragraph of real content.</p>\n\nSecond paragraph.")
+    ).toBe("My long paragraph of real content.\n\nSecond paragraph.");
+    expect(
+      markdown.stripUnsafe("<details><summary>Spoiler</summary>The butler did it.</details>")
+    ).toBe("SpoilerThe butler did it.");
+    expect(markdown.stripUnsafe("<!-- c --> hi")).toBe(" hi");
+    expect(markdown.stripUnsafe("<p>Tom & Jerry</p>")).toBe("Tom &amp; Jerry");
+    expect(markdown.renderContent("<p>hello world</p>").contentHtml).toBe(
+      "<p>hello world</p>\n"
+    );
+  });
+
+  it("keeps code and escapes what cannot be stripped", () => {
+    expect(markdown.stripUnsafe("`<b>` and <b>bold</b>")).toBe("`<b>` and bold");
+    expect(markdown.stripUnsafe("<<b>b>img src=x>")).toBe("img src=x>");
+    expect(markdown.stripUnsafe("> <div>\n> <i>x</i>\n> </div>")).toBe(
+      "> \\<div>\n> \\<i>x\\</i>\n> \\</div>"
+    );
+    expect(markdown.stripUnsafe("[a](JaVa&#115;cript:x) [b](/relative)")).toBe(
+      "a [b](/relative)"
+    );
+  });
+});
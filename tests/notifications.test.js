@@ -0,0 +1,146 @@
+const request = require("supertest");
+
+const helpers = require("./helpers");
+const Notification = require("../models/notification");
+
+const { app, auth } = helpers;
+
+beforeAll(helpers.connect);
+afterEach(helpers.clear);
+afterAll(helpers.disconnect);
+
+const types = (res) => res.body.notifications.map((n) => n.type);
+
+const seed = async () => {
+  const admin = await helpers.createUser({ role: "ADMIN" });
+  const author = await helpers.createUser();
+  return {
+    admin,
+    author,
+    adminToken: await helpers.tokenFor(admin),
+    authorToken: await helpers.tokenFor(author),
+  };
+};
+
+describe("notifications", () => {
+  it("tells admins about submissions and authors about approval and promotion", async () => {
+    const { adminToken, authorToken } = await seed();
+
+    const created = await helpers.createPost(authorToken);
+    const adminInbox = await request(app)
+      .get("/users/me/notifications")
+      .set(auth(adminToken));
+
+    expect(types(adminInbox)).toEqual(["post.submitted"]);
+    expect(adminInbox.body.unreadCount).toBe(1);
+
+    await request(app)
+      .post(`/feed/post-request/${created.body.post._id}`)
+      .set(auth(adminToken));
+    const authorInbox = await request(app)
+      .get("/users/me/notifications")
+      .set(auth(authorToken));
+
+    expect(types(authorInbox).sort()).toEqual([
+      "post.approved",
+      "user.role-changed",
+    ]);
+    expect(authorInbox.body.notifications[0].message).toBeDefined();
+  });
+
+  it("marks notifications as read", async () => {
+    const { adminToken, authorToken } = await seed();
+    await helpers.createPost(authorToken);
+    await helpers.createPost(authorToken);
+
+    const inbox = await request(app)
+      .get("/users/me/notifications")
+      .set(auth(adminToken));
+    const read = await request(app)
+      .post(`/users/me/notifications/${inbox.body.notifications[0]._id}/read`)
+      .set(auth(adminToken));
+
+    expect(read.body.notification.read).toBe(true);
+    expect(read.body.unreadCount).toBe(1);
+
+    const unread = await request(app)
+      .get("/users/me/notifications?unread=true")
+      .set(auth(adminToken));
+
+    expect(unread.body.notifications).toHaveLength(1);
+
+    await request(app)
+      .post("/users/me/notifications/read-all")
+      .set(auth(adminToken));
+    const count = await request(app)
+      .get("/users/me/notifications/unread-count")
+      .set(auth(adminToken));
+
+    expect(count.body.unreadCount).toBe(0);
+  });
+
+  it("does not let users read other users' notifications", async () => {
+    const { adminToken, authorToken } = await seed();
+    await helpers.createPost(authorToken);
+    const notification = await Notification.findOne();
+
+    const res = await request(app)
+      .post(`/users/me/notifications/${notification._id}/read`)
+      .set(auth(authorToken));
+
+    expect(res.status).toBe(404);
+
+    const inbox = await request(app)
+      .get("/users/me/notifications/unread-count")
+      .set(auth(adminToken));
+
+    expect(inbox.body.unreadCount).toBe(1);
+  });
+
+  it("respects muted notification types", async () => {
+    const { adminToken, authorToken } = await seed();
+
+    const updated = await request(app)
+      .put("/users/me/notifications/preferences")
+      .set(auth(adminToken))
+      .send({ "post.submitted": false });
+
+    expect(updated.status).toBe(200);
+    expect(updated.body.preferences["post.submitted"]).toBe(false);
+    expect(updated.body.preferences["post.approved"]).toBe(true);
+
+    await helpers.createPost(authorToken);
+    const inbox = await request(app)
+      .get("/users/me/notifications")
+      .set(auth(adminToken));
+
+    expect(types(inbox)).toEqual([]);
+  });
+
+  it("rejects unknown preference types", async () => {
+    const { adminToken } = await seed();
+
+    const res = await request(app)
+      .put("/users/me/notifications/preferences")
+      .set(auth(adminToken))
+      .send({ "post.liked": false });
+
+    expect(res.status).toBe(422);
+  });
+
+  it("notifies users when an admin changes their role", async () => {
+    const { admin, author, adminToken, authorToken } = await seed();
+
+    await request(app)
+      .patch(`/users/${author._id}/role`)
+      .set(auth(adminToken))
+      .send({ role: "MODERATOR" });
+    const inbox = await request(app)
+      .get("/users/me/notifications")
+      .set(auth(authorToken));
+
+    expect(types(inbox)).toEqual(["user.role-changed"]);
+    expect(inbox.body.notifications[0].data.toRole).toBe("MODERATOR");
+    expect(inbox.body.notifications[0].actor._id).toBe(admin._id.toString());
+  });
+});
@@ -0,0 +1,63 @@
+const request = require("supertest");
+
+const helpers = require("./helpers");
+const config = require("../config");
+const rateLimit = require("../middleware/rate-limit");
+const createMemoryStore = require("../services/rate-limit-stores/memory");
+
+const { app } = helpers;
+
+// Rate limiting is turned off for the other test files; these turn it on with a fresh store.
+beforeAll(helpers.connect);
+beforeEach(() => {
+  config.rateLimit.enabled = true;
+  rateLimit.setStore(createMemoryStore());
+});
+afterEach(async () => {
+  config.rateLimit.enabled = false;
+  await helpers.clear();
+});
+afterAll(helpers.disconnect);
+
+describe("rate limiting", () => {
+  it("limits mail requests per IP across both endpoints", async () => {
+    const statuses = [];
+    for (let i = 0; i < config.rateLimit.mail.maxPerIp; i++) {
+      const path = i % 2 ? "/auth/forgot-password" : "/auth/resend-verification";
+      statuses.push(
+        (await request(app).post(path).send({ email: helpers.uniqueEmail() })).status
+      );
+    }
+    const throttled = await request(app)
+      .post("/auth/forgot-password")
+      .send({ email: helpers.uniqueEmail() });
+
+    expect(statuses.every((status) => status === 200)).toBe(true);
+    expect(throttled.status).toBe(429);
+    expect(throttled.headers["retry-after"]).toBeDefined();
+  });
+
+  it("survives a store that fails to decrement", async () => {
+    const store = createMemoryStore();
+    rateLimit.setStore({
+      ...store,
+      decrement: async () => {
+        throw new Error("store down");
+      },
+    });
+    const user = await helpers.createUser();
+    const errorSpy = jest.spyOn(console, "error").mockImplementation(() => {});
+
+    const res = await request(app)
+      .post("/auth/login")
+      .send({ email: user.email, password: helpers.PASSWORD });
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    expect(res.status).toBe(200);
+    expect(errorSpy).toHaveBeenCalledWith(
+      "Rate limit decrement failed:",
+      expect.any(Error)
+    );
+    errorSpy.mockRestore();
+  });
+});
@@ -0,0 +1,158 @@
+const request = require("supertest");
+
+const helpers = require("./helpers");
+const Post = require("../models/post");
+
+const { app, auth } = helpers;
+
+beforeAll(helpers.connect);
+afterEach(helpers.clear);
+afterAll(helpers.disconnect);
+
+const seed = async () => {
+  const blogger = await helpers.createUser({ role: "BLOGGER" });
+  const reader = await helpers.createUser();
+  const post = await Post.create({
+    title: "Approved post",
+    content: "Visible to everybody",
+    author: blogger._id,
+    status: "approved",
+  });
+  return {
+    post,
+    bloggerToken: await helpers.tokenFor(blogger),
+    readerToken: await helpers.tokenFor(reader),
+  };
+};
+
+describe("likes", () => {
+  it("counts a like once per user and can be undone", async () => {
+    const { post, readerToken } = await seed();
+
+    await request(app).post(`/feed/post/${post._id}/like`).set(auth(readerToken));
+    const again = await request(app)
+      .post(`/feed/post/${post._id}/like`)
+      .set(auth(readerToken));
+
+    expect(again.status).toBe(200);
+    expect(again.body.likeCount).toBe(1);
+
+    const removed = await request(app)
+      .delete(`/feed/post/${post._id}/like`)
+      .set(auth(readerToken));
+
+    expect(removed.body.likeCount).toBe(0);
+  });
+
+  it("does not change updatedAt of the post", async () => {
+    const { post, readerToken } = await seed();
+
+    await request(app).post(`/feed/post/${post._id}/like`).set(auth(readerToken));
+    await request(app).get(`/feed/post/${post._id}`).set(auth(readerToken));
+    await request(app).delete(`/feed/post/${post._id}/like`).set(auth(readerToken));
+
+    const stored = await Post.findById(post._id);
+    expect(stored.viewCount).toBe(1);
+    expect(stored.updatedAt).toEqual(post.updatedAt);
+  });
+
+  it("reports likedByMe in the feed for authenticated callers only", async () => {
+    const { post, readerToken } = await seed();
+    await request(app).post(`/feed/post/${post._id}/like`).set(auth(readerToken));
+
+    const mine = await request(app).get("/feed/posts").set(auth(readerToken));
+    const anonymous = await request(app).get("/feed/posts");
+
+    expect(mine.body.posts[0].likeCount).toBe(1);
+    expect(mine.body.posts[0].likedByMe).toBe(true);
+    expect(anonymous.body.posts[0].likeCount).toBe(1);
+    expect(anonymous.body.posts[0].likedByMe).toBeUndefined();
+  });
+
+  it("cannot like posts the user cannot see", async () => {
+    const { readerToken } = await seed();
+    const blogger = await helpers.createUser({ role: "BLOGGER" });
+    const pending = await Post.create({
+      title: "Pending post",
+      content: "Waiting for review",
+      author: blogger._id,
+    });
+
+    const res = await request(app)
+      .post(`/feed/post/${pending._id}/like`)
+      .set(auth(readerToken));
+
+    expect(res.status).toBe(404);
+  });
+
+  it("sorts the feed by likes", async () => {
+    const { post, readerToken } = await seed();
+    const popular = await Post.create({
+      title: "Popular post",
+      content: "Everybody likes it",
+      author: post.author,
+      status: "approved",
+      likeCount: 5,
+    });
+
+    const res = await request(app).get("/feed/posts?sort=most-liked");
+
+    expect(res.body.posts[0]._id).toBe(popular._id.toString());
+
+    const trending = await request(app)
+      .get("/feed/posts?sort=trending")
+      .set(auth(readerToken));
+
+    expect(trending.body.posts.map((p) => p.title)).toEqual([
+      "Popular post",
+      "Approved post",
+    ]);
+  });
+});
+
+describe("views", () => {
+  it("counts views of other users but not of the author", async () => {
+    const { post, bloggerToken, readerToken } = await seed();
+
+    await request(app).get(`/feed/post/${post._id}`).set(auth(bloggerToken));
+    const res = await request(app)
+      .get(`/feed/post/${post._id}`)
+      .set(auth(readerToken));
+
+    expect(res.body.post.viewCount).toBe(1);
+  });
+});
+
+describe("bookmarks", () => {
+  it("lists the bookmarked posts of the current user", async () => {
+    const { post, readerToken } = await seed();
+
+    await request(app)
+      .post(`/feed/post/${post._id}/bookmark`)
+      .set(auth(readerToken));
+    const res = await request(app)
+      .get("/users/me/bookmarks")
+      .set(auth(readerToken));
+
+    expect(res.status).toBe(200);
+    expect(res.body.bookmarks).toHaveLength(1);
+    expect(res.body.bookmarks[0].post.title).toBe("Approved post");
+    expect(res.body.bookmarks[0].post.bookmarkedByMe).toBe(true);
+  });
+
+  it("removes bookmarks", async () => {
+    const { post, readerToken } = await seed();
+
+    await request(app)
+      .post(`/feed/post/${post._id}/bookmark`)
+      .set(auth(readerToken));
+    await request(app)
+      .delete(`/feed/post/${post._id}/bookmark`)
+      .set(auth(readerToken));
+    const res = await request(app)
+      .get("/users/me/bookmarks")
+      .set(auth(readerToken));
+
+    expect(res.body.bookmarks).toHaveLength(0);
+  });
+});
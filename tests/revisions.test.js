@@ -0,0 +1,143 @@
+const request = require("supertest");
+
+const helpers = require("./helpers");
+
+const { app, auth } = helpers;
+
+beforeAll(helpers.connect);
+afterEach(helpers.clear);
+afterAll(helpers.disconnect);
+
+// Creates a post and edits it once, so it has one revision.
+const seed = async () => {
+  const blogger = await helpers.createUser({ role: "BLOGGER" });
+  const token = await helpers.tokenFor(blogger);
+  const created = await helpers.createPost(token, {
+    title: "First title",
+    content: "line one\nline two\n",
+  });
+  const postId = created.body.post._id;
+
+  await request(app)
+    .put(`/feed/post/${postId}`)
+    .set(auth(token))
+    .send({ title: "Second title", content: "line one\nline 2\n" });
+
+  return { token, postId };
+};
+
+describe("revisions", () => {
+  it("stores the previous values on every update", async () => {
+    const { token, postId } = await seed();
+
+    const list = await request(app)
+      .get(`/feed/post/${postId}/revisions`)
+      .set(auth(token));
+    const revision = await request(app)
+      .get(`/feed/post/${postId}/revisions/1`)
+      .set(auth(token));
+
+    expect(list.status).toBe(200);
+    expect(list.body.revisions).toHaveLength(1);
+    expect(list.body.revisions[0].title).toBe("First title");
+    expect(revision.body.revision.content).toBe("line one\nline two\n");
+  });
+
+  it("stores no revision when the update fails", async () => {
+    const { token, postId } = await seed();
+
+    const res = await request(app)
+      .put(`/feed/post/${postId}`)
+      .set(auth(token))
+      .send({
+        title: "Third title",
+        content: "Other content",
+        attachmentIds: "64b000000000000000000000",
+      });
+    const list = await request(app)
+      .get(`/feed/post/${postId}/revisions`)
+      .set(auth(token));
+
+    expect(res.status).toBe(422);
+    expect(list.body.revisions).toHaveLength(1);
+  });
+
+  it("numbers the revisions of concurrent updates one after another", async () => {
+    const { token, postId } = await seed();
+
+    const updates = await Promise.all(
+      [1, 2, 3, 4].map((n) =>
+        request(app)
+          .put(`/feed/post/${postId}`)
+          .set(auth(token))
+          .send({ title: `Concurrent title ${n}`, content: "Concurrent content" })
+      )
+    );
+    const list = await request(app)
+      .get(`/feed/post/${postId}/revisions`)
+      .set(auth(token));
+
+    expect(updates.map((res) => res.status)).toEqual([200, 200, 200, 200]);
+    expect(list.body.revisions.map((revision) => revision.number)).toEqual([
+      5, 4, 3, 2, 1,
+    ]);
+  });
+
+  it("shows the changes between a revision and the current post", async () => {
+    const { token, postId } = await seed();
+
+    const res = await request(app)
+      .get(`/feed/post/${postId}/revisions/diff?from=1&to=current`)
+      .set(auth(token));
+
+    expect(res.status).toBe(200);
+    const removed = res.body.changes.content.filter((part) => part.removed);
+    const added = res.body.changes.content.filter((part) => part.added);
+    expect(removed.map((part) => part.value)).toEqual(["line two\n"]);
+    expect(added.map((part) => part.value)).toEqual(["line 2\n"]);
+  });
+
+  it("restores a revision and keeps the replaced version", async () => {
+    const { token, postId } = await seed();
+
+    const res = await request(app)
+      .post(`/feed/post/${postId}/revisions/1/restore`)
+      .set(auth(token));
+    const list = await request(app)
+      .get(`/feed/post/${postId}/revisions`)
+      .set(auth(token));
+
+    expect(res.status).toBe(200);
+    expect(res.body.post.title).toBe("First title");
+    expect(list.body.revisions.map((revision) => revision.title)).toEqual([
+      "Second title",
+      "First title",
+    ]);
+  });
+
+  it("is available to admins but not to other users", async () => {
+    const { postId } = await seed();
+    const admin = await helpers.createUser({ role: "ADMIN" });
+    const other = await helpers.createUser({ role: "BLOGGER" });
+
+    const adminRes = await request(app)
+      .get(`/feed/post/${postId}/revisions`)
+      .set(auth(await helpers.tokenFor(admin)));
+    const otherRes = await request(app)
+      .get(`/feed/post/${postId}/revisions`)
+      .set(auth(await helpers.tokenFor(other)));
+
+    expect(adminRes.status).toBe(200);
+    expect(otherRes.status).toBe(403);
+  });
+
+  it("answers 404 for unknown revisions", async () => {
+    const { token, postId } = await seed();
+
+    const res = await request(app)
+      .get(`/feed/post/${postId}/revisions/diff?from=7`)
+      .set(auth(token));
+
+    expect(res.status).toBe(404);
+  });
+});
@@ -0,0 +1,10 @@
+const os = require("os");
+const path = require("path");
+
+// Loaded by jest before every test file, so config.js sees these values.
+process.env.NODE_ENV = "test";
+process.env.JWT_SECRET = "test-secret";
+process.env.RATE_LIMIT_ENABLED = "false";
+process.env.MAIL_TRANSPORT = "file";
+process.env.MAIL_DIR = path.join(os.tmpdir(), "blog-api-test-mail");
+process.env.UPLOAD_DIR = path.join(os.tmpdir(), "blog-api-test-uploads");
@@ -0,0 +1,181 @@
+const http = require("http");
+const request = require("supertest");
+
+const helpers = require("./helpers");
+const User = require("../models/user");
+const stream = require("../services/stream");
+
+const { app, auth } = helpers;
+
+let server;
+
+beforeAll(async () => {
+  await helpers.connect();
+  server = app.listen(0);
+});
+afterEach(helpers.clear);
+afterAll(async () => {
+  server.close();
+  await helpers.disconnect();
+});
+
+// Opens GET /feed/stream and collects the events. `next(name)` resolves with the data of the
+// next event called `name`.
+const openStream = (path = "/feed/stream", headers = {}) =>
+  new Promise((resolve, reject) => {
+    const received = [];
+    const waiting = [];
+    let buffer = "";
+
+    const req = http.get(
+      { port: server.address().port, path: path, headers: headers },
+      (res) => {
+        res.setEncoding("utf8");
+        res.on("data", (chunk) => {
+          buffer += chunk;
+          const blocks = buffer.split("\n\n");
+          buffer = blocks.pop();
+          blocks.forEach((block) => {
+            const name = (block.match(/^event: (.*)$/m) || [])[1];
+            const data = (block.match(/^data: (.*)$/m) || [])[1];
+            if (name) {
+              received.push({ name: name, data: JSON.parse(data) });
+            }
+          });
+          waiting.slice().forEach((wait) => wait());
+        });
+
+        const client = {
+          status: res.statusCode,
+          received: received,
+          next: (name) =>
+            new Promise((done) => {
+              const check = () => {
+                const index = received.findIndex((event) => event.name === name);
+                if (index !== -1) {
+                  waiting.splice(waiting.indexOf(check), 1);
+                  done(received.splice(index, 1)[0].data);
+                }
+              };
+              waiting.push(check);
+              check();
+            }),
+          close: () => req.destroy(),
+        };
+        resolve(client);
+      }
+    );
+    req.on("error", reject);
+  });
+
+describe("live updates", () => {
+  it("streams published posts to anonymous clients", async () => {
+    const admin = await helpers.createUser({ role: "ADMIN" });
+    const blogger = await helpers.createUser({ role: "BLOGGER" });
+    const adminToken = await helpers.tokenFor(admin);
+    const client = await openStream();
+
+    expect(client.status).toBe(200);
+    expect(await client.next("ready")).toEqual({ authenticated: false });
+
+    const created = await helpers.createPost(await helpers.tokenFor(blogger));
+    await request(app)
+      .post(`/feed/post-request/${created.body.post._id}`)
+      .set(auth(adminToken));
+
+    const approved = await client.next("post.approved");
+    client.close();
+
+    expect(approved.post._id).toBe(created.body.post._id);
+    // The pending post was not sent to the anonymous client.
+    expect(client.received.map((event) => event.name)).not.toContain(
+      "post.created"
+    );
+  });
+
+  it("streams pending submissions to admins authenticated with ?token=", async () => {
+    const admin = await helpers.createUser({ role: "ADMIN" });
+    const user = await helpers.createUser();
+    const client = await openStream(
+      `/feed/stream?token=${await helpers.tokenFor(admin)}`
+    );
+
+    expect(await client.next("ready")).toEqual({ authenticated: true });
+
+    const created = await helpers.createPost(await helpers.tokenFor(user));
+    const event = await client.next("post.created");
+    client.close();
+
+    expect(event.post._id).toBe(created.body.post._id);
+    expect(event.post.status).toBe("pending");
+  });
+
+  it("sends deletions to the clients that listed the post", async () => {
+    const blogger = await helpers.createUser({ role: "BLOGGER" });
+    const bloggerToken = await helpers.tokenFor(blogger);
+    const client = await openStream("/feed/stream", auth(bloggerToken));
+    await client.next("ready");
+
+    const created = await helpers.createPost(bloggerToken);
+    await client.next("post.created");
+    await request(app)
+      .delete(`/feed/post/${created.body.post._id}`)
+      .set(auth(bloggerToken));
+    const deleted = await client.next("post.deleted");
+    client.close();
+
+    expect(deleted.post).toEqual({ _id: created.body.post._id });
+  });
+
+  it("ends the stream once the session is logged out", async () => {
+    const user = await helpers.createUser();
+    const token = await helpers.tokenFor(user);
+    const client = await openStream(`/feed/stream?token=${token}`);
+    await client.next("ready");
+
+    await request(app).post("/auth/logout").set(auth(token));
+    await stream.revalidateClients();
+    const event = await client.next("unauthorized");
+
+    expect(event.code).toBe("TOKEN_REVOKED");
+    expect(stream.clientCount()).toBe(0);
+    client.close();
+  });
+
+  it("applies role changes to open streams", async () => {
+    const admin = await helpers.createUser({ role: "ADMIN" });
+    const user = await helpers.createUser();
+    const client = await openStream(
+      `/feed/stream?token=${await helpers.tokenFor(admin)}`
+    );
+    await client.next("ready");
+
+    await User.updateOne({ _id: admin._id }, { role: "USER" });
+    await stream.revalidateClients();
+    await helpers.createPost(await helpers.tokenFor(user));
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    client.close();
+
+    expect(client.received.map((event) => event.name)).not.toContain(
+      "post.created"
+    );
+  });
+
+  it("rejects invalid tokens", async () => {
+    const res = await request(app).get("/feed/stream?token=garbage");
+
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe("INVALID_TOKEN");
+  });
+
+  it("forgets closed connections", async () => {
+    const client = await openStream();
+    await client.next("ready");
+    expect(stream.clientCount()).toBe(1);
+
+    client.close();
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    expect(stream.clientCount()).toBe(0);
+  });
+});
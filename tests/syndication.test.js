@@ -0,0 +1,147 @@
+const request = require("supertest");
+
+const helpers = require("./helpers");
+const Post = require("../models/post");
+
+const { app, auth } = helpers;
+
+beforeAll(helpers.connect);
+afterEach(helpers.clear);
+afterAll(helpers.disconnect);
+
+const createPosts = async () => {
+  const alice = await helpers.createUser({ firstName: "Alice", lastName: "Smith", role: "BLOGGER" });
+  const bob = await helpers.createUser({ firstName: "Bob", lastName: "Jones", role: "BLOGGER" });
+  await Post.create({
+    title: "Alice <writes>",
+    content: "Tom & Jerry",
+    author: alice._id,
+    tags: ["node"],
+    status: "approved",
+  });
+  await Post.create({ title: "Bob writes", content: "Some content", author: bob._id, status: "approved" });
+  await Post.create({ title: "Pending post", content: "Some content", author: alice._id });
+  return { alice, bob };
+};
+
+describe("rss and atom feeds", () => {
+  it("lists published posts with their authors as RSS", async () => {
+    await createPosts();
+
+    const res = await request(app).get("/feed/rss");
+
+    expect(res.status).toBe(200);
+    expect(res.headers["content-type"]).toMatch(/^application\/rss\+xml/);
+    expect(res.text).toContain('<rss version="2.0"');
+    expect(res.text).toContain("<title>Alice &lt;writes&gt;</title>");
+    expect(res.text).toContain("<description>&lt;p&gt;Tom &amp;amp; Jerry&lt;/p&gt;");
+    expect(res.text).toContain("<dc:creator>Alice Smith</dc:creator>");
+    expect(res.text).toContain("<category>node</category>");
+    expect(res.text).toContain("<title>Bob writes</title>");
+    expect(res.text).not.toContain("Pending post");
+  });
+
+  it("renders Atom feeds", async () => {
+    await createPosts();
+
+    const res = await request(app).get("/feed/atom");
+
+    expect(res.status).toBe(200);
+    expect(res.headers["content-type"]).toMatch(/^application\/atom\+xml/);
+    expect(res.text).toContain('<feed xmlns="http://www.w3.org/2005/Atom">');
+    expect(res.text.match(/<entry>/g)).toHaveLength(2);
+    expect(res.text).toContain("<author><name>Bob Jones</name></author>");
+  });
+
+  it("filters feeds by author and tag", async () => {
+    const { bob } = await createPosts();
+
+    const byAuthor = await request(app).get(`/feed/authors/${bob._id}/rss`);
+    const byTag = await request(app).get("/feed/tags/Node/atom");
+
+    expect(byAuthor.text).toContain("<title>Bob writes</title>");
+    expect(byAuthor.text).not.toContain("Alice &lt;writes&gt;");
+    expect(byTag.text.match(/<entry>/g)).toHaveLength(1);
+    expect(byTag.text).toContain("<title>Alice &lt;writes&gt;</title>");
+  });
+
+  it("orders posts by when they were published", async () => {
+    const alice = await helpers.createUser({ role: "BLOGGER" });
+    const publishAt = new Date(Date.now() + 60 * 60 * 1000);
+    await Post.create({
+      title: "Scheduled post",
+      content: "Some content",
+      author: alice._id,
+      status: "approved",
+      publishAt: publishAt,
+    });
+    await Post.create({ title: "Newer post", content: "Some content", author: alice._id, status: "approved" });
+    await Post.publishDue(new Date(publishAt.getTime() + 1000));
+
+    const res = await request(app).get("/feed/rss");
+
+    expect(res.text.match(/<title>[^<]* post<\/title>/g)).toEqual([
+      "<title>Scheduled post</title>",
+      "<title>Newer post</title>",
+    ]);
+  });
+
+  it("answers 404 for unknown authors", async () => {
+    const res = await request(app).get("/feed/authors/64b000000000000000000000/rss");
+
+    expect(res.status).toBe(404);
+  });
+
+  it("keeps answering 304 after views and likes", async () => {
+    await createPosts();
+    const reader = await helpers.createUser();
+    const token = await helpers.tokenFor(reader);
+    const post = await Post.findOne({ title: "Bob writes" });
+    const first = await request(app).get("/feed/atom");
+
+    await request(app).get(`/feed/post/${post._id}`).set(auth(token));
+    await request(app).post(`/feed/post/${post._id}/like`).set(auth(token));
+
+    const res = await request(app)
+      .get("/feed/atom")
+      .set("If-None-Match", first.headers.etag)
+      .set("If-Modified-Since", first.headers["last-modified"]);
+
+    expect(res.status).toBe(304);
+  });
+
+  it("links posts to the frontend", async () => {
+    await createPosts();
+    const post = await Post.findOne({ title: "Bob writes" });
+
+    const res = await request(app).get("/feed/rss");
+
+    expect(res.text).toContain(`<link>http://localhost:3000/posts/${post._id}</link>`);
+  });
+
+  it("answers 304 until a post changes", async () => {
+    await createPosts();
+    const first = await request(app).get("/feed/rss");
+
+    expect(first.headers.etag).toBeDefined();
+    expect(first.headers["last-modified"]).toBeDefined();
+
+    const byEtag = await request(app)
+      .get("/feed/rss")
+      .set("If-None-Match", first.headers.etag);
+    const byDate = await request(app)
+      .get("/feed/rss")
+      .set("If-Modified-Since", first.headers["last-modified"]);
+
+    expect(byEtag.status).toBe(304);
+    expect(byDate.status).toBe(304);
+
+    await Post.updateOne({ title: "Bob writes" }, { title: "Bob rewrites" });
+    const changed = await request(app)
+      .get("/feed/rss")
+      .set("If-None-Match", first.headers.etag);
+
+    expect(changed.status).toBe(200);
+    expect(changed.text).toContain("<title>Bob rewrites</title>");
+  });
+});
@@ -0,0 +1,136 @@
+const request = require("supertest");
+
+const helpers = require("./helpers");
+const Category = require("../models/category");
+const Post = require("../models/post");
+
+const { app, auth } = helpers;
+
+beforeAll(helpers.connect);
+afterEach(helpers.clear);
+afterAll(helpers.disconnect);
+
+describe("tags", () => {
+  it("stores normalized tags on create", async () => {
+    const blogger = await helpers.createUser({ role: "BLOGGER" });
+    const token = await helpers.tokenFor(blogger);
+
+    const res = await helpers.createPost(token, {
+      tags: ["Node JS", "node_js", "  MongoDB "],
+    });
+
+    expect(res.status).toBe(201);
+    expect(res.body.post.tags).toEqual(["node-js", "mongodb"]);
+  });
+
+  it("rejects more than ten tags", async () => {
+    const blogger = await helpers.createUser({ role: "BLOGGER" });
+    const token = await helpers.tokenFor(blogger);
+
+    const res = await helpers.createPost(token, {
+      tags: Array.from({ length: 11 }, (_, i) => `tag${i}`),
+    });
+
+    expect(res.status).toBe(422);
+  });
+
+  it("counts tags of visible posts and filters the feed by tag", async () => {
+    const blogger = await helpers.createUser({ role: "BLOGGER" });
+    const base = { content: "Some content", author: blogger._id };
+    await Post.create({ ...base, title: "One", tags: ["node", "web"], status: "approved" });
+    await Post.create({ ...base, title: "Two", tags: ["node"], status: "approved" });
+    await Post.create({ ...base, title: "Hidden", tags: ["secret"] });
+
+    const tags = await request(app).get("/feed/tags");
+    const posts = await request(app).get("/feed/posts?tag=Web");
+
+    expect(tags.body.tags).toEqual([
+      { tag: "node", postCount: 2 },
+      { tag: "web", postCount: 1 },
+    ]);
+    expect(posts.body.posts.map((post) => post.title)).toEqual(["One"]);
+  });
+});
+
+describe("categories", () => {
+  it("can only be created by admins", async () => {
+    const admin = await helpers.createUser({ role: "ADMIN" });
+    const blogger = await helpers.createUser({ role: "BLOGGER" });
+
+    const denied = await request(app)
+      .post("/feed/categories")
+      .set(auth(await helpers.tokenFor(blogger)))
+      .send({ name: "Web Development" });
+    const created = await request(app)
+      .post("/feed/categories")
+      .set(auth(await helpers.tokenFor(admin)))
+      .send({ name: "Web Development" });
+
+    expect(denied.status).toBe(403);
+    expect(created.status).toBe(201);
+    expect(created.body.category.slug).toBe("web-development");
+  });
+
+  it("rejects duplicate names", async () => {
+    const admin = await helpers.createUser({ role: "ADMIN" });
+    const token = await helpers.tokenFor(admin);
+    await Category.create({ name: "News", slug: "news" });
+
+    const res = await request(app)
+      .post("/feed/categories")
+      .set(auth(token))
+      .send({ name: "NEWS" });
+
+    expect(res.status).toBe(409);
+  });
+
+  it("assigns categories to posts and filters the feed by slug", async () => {
+    const blogger = await helpers.createUser({ role: "BLOGGER" });
+    const token = await helpers.tokenFor(blogger);
+    const news = await Category.create({ name: "News", slug: "news" });
+
+    const res = await helpers.createPost(token, { category: news._id.toString() });
+    await Post.updateOne({ _id: res.body.post._id }, { status: "approved", allowed: true });
+    await Post.create({
+      title: "Other",
+      content: "Without category",
+      author: blogger._id,
+      status: "approved",
+    });
+
+    const posts = await request(app).get("/feed/posts?category=news");
+    const categories = await request(app).get("/feed/categories");
+
+    expect(res.body.post.category.slug).toBe("news");
+    expect(posts.body.posts.map((post) => post.title)).toEqual(["A test post"]);
+    expect(categories.body.categories[0].postCount).toBe(1);
+  });
+
+  it("filters the feed by a slug of twelve characters", async () => {
+    const blogger = await helpers.createUser({ role: "BLOGGER" });
+    const category = await Category.create({ name: "Web dev 2024", slug: "web-dev-2024" });
+    await Post.create({
+      title: "Twelve",
+      content: "In a category",
+      author: blogger._id,
+      category: category._id,
+      status: "approved",
+    });
+
+    const res = await request(app).get("/feed/posts?category=web-dev-2024");
+
+    expect(res.status).toBe(200);
+    expect(res.body.posts.map((post) => post.title)).toEqual(["Twelve"]);
+  });
+
+  it("rejects unknown categories on create", async () => {
+    const blogger = await helpers.createUser({ role: "BLOGGER" });
+    const token = await helpers.tokenFor(blogger);
+
+    const res = await helpers.createPost(token, {
+      category: "5f50c31b1c9d440000a1b2c3",
+    });
+
+    expect(res.status).toBe(422);
+  });
+});
@@ -0,0 +1,211 @@
+const request = require("supertest");
+
+const helpers = require("./helpers");
+const Post = require("../models/post");
+const User = require("../models/user");
+const Comment = require("../models/comment");
+const trash = require("../services/trash");
+
+const { app, auth } = helpers;
+
+beforeAll(helpers.connect);
+afterEach(helpers.clear);
+afterAll(helpers.disconnect);
+
+const titles = (res) => res.body.posts.map((post) => post.title);
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const seed = async () => {
+  const admin = await helpers.createUser({ role: "ADMIN" });
+  const blogger = await helpers.createUser({ role: "BLOGGER" });
+  const post = await Post.create({
+    title: "Approved post",
+    content: "Visible to everybody",
+    author: blogger._id,
+    status: "approved",
+  });
+  return {
+    admin,
+    blogger,
+    post,
+    adminToken: await helpers.tokenFor(admin),
+    bloggerToken: await helpers.tokenFor(blogger),
+  };
+};
+
+describe("post trash", () => {
+  it("hides deleted posts and lists them in the trash", async () => {
+    const { post, adminToken, bloggerToken } = await seed();
+
+    const deleted = await request(app)
+      .delete(`/feed/post/${post._id}`)
+      .set(auth(bloggerToken));
+
+    expect(deleted.status).toBe(200);
+    expect(deleted.body.restorableUntil).toBeDefined();
+
+    const feed = await request(app).get("/feed/posts");
+    const single = await request(app)
+      .get(`/feed/post/${post._id}`)
+      .set(auth(adminToken));
+    const own = await request(app).get("/feed/trash").set(auth(bloggerToken));
+    const all = await request(app).get("/feed/trash").set(auth(adminToken));
+
+    expect(titles(feed)).toEqual([]);
+    expect(single.status).toBe(404);
+    expect(titles(own)).toEqual(["Approved post"]);
+    expect(own.body.posts[0].restorable).toBe(true);
+    expect(titles(all)).toEqual(["Approved post"]);
+  });
+
+  it("does not show other users' deleted posts to authors", async () => {
+    const { post, bloggerToken } = await seed();
+    const other = await helpers.createUser({ role: "BLOGGER" });
+    await trash.trashPost(post, post.author);
+
+    const res = await request(app)
+      .get("/feed/trash")
+      .set(auth(await helpers.tokenFor(other)));
+    const restore = await request(app)
+      .post(`/feed/trash/${post._id}/restore`)
+      .set(auth(await helpers.tokenFor(other)));
+
+    expect(titles(res)).toEqual([]);
+    expect(restore.status).toBe(403);
+
+    const own = await request(app)
+      .post(`/feed/trash/${post._id}/restore`)
+      .set(auth(bloggerToken));
+
+    expect(own.status).toBe(200);
+  });
+
+  it("restores posts within the retention period", async () => {
+    const { post, bloggerToken } = await seed();
+    await trash.trashPost(post, post.author);
+
+    const res = await request(app)
+      .post(`/feed/trash/${post._id}/restore`)
+      .set(auth(bloggerToken));
+    const feed = await request(app).get("/feed/posts");
+
+    expect(res.status).toBe(200);
+    expect(titles(feed)).toEqual(["Approved post"]);
+  });
+
+  it("refuses to restore posts after the retention period", async () => {
+    const { post, bloggerToken } = await seed();
+    await post.softDelete(post.author, new Date(Date.now() - 365 * DAY));
+
+    const res = await request(app)
+      .post(`/feed/trash/${post._id}/restore`)
+      .set(auth(bloggerToken));
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe("RETENTION_EXPIRED");
+  });
+
+  it("lets admins delete any post and purge it", async () => {
+    const { post, blogger, adminToken, bloggerToken } = await seed();
+    await Comment.create({ content: "Nice", author: blogger._id, post: post._id });
+
+    await request(app).delete(`/feed/post/${post._id}`).set(auth(adminToken));
+    const forbidden = await request(app)
+      .delete(`/feed/trash/${post._id}`)
+      .set(auth(bloggerToken));
+    const purged = await request(app)
+      .delete(`/feed/trash/${post._id}`)
+      .set(auth(adminToken));
+
+    expect(forbidden.status).toBe(403);
+    expect(purged.status).toBe(200);
+    expect(
+      await Post.countDocuments({ _id: post._id, deletedAt: { $ne: null } })
+    ).toBe(0);
+    expect(await Comment.countDocuments({ post: post._id })).toBe(0);
+  });
+
+  it("purges expired posts from the scheduler job", async () => {
+    const { post } = await seed();
+    await post.softDelete(post.author, new Date(Date.now() - 365 * DAY));
+
+    const result = await trash.purgeExpired();
+
+    expect(result.posts).toBe(1);
+    expect(
+      await Post.findById(post._id).setOptions({ withDeleted: true })
+    ).toBeNull();
+  });
+});
+
+describe("user trash", () => {
+  it("hides deleted users and restores them with their posts", async () => {
+    const { blogger, adminToken, bloggerToken } = await seed();
+
+    await request(app).delete(`/users/${blogger._id}`).set(auth(adminToken));
+
+    const feed = await request(app).get("/feed/posts");
+    const profile = await request(app)
+      .get(`/users/${blogger._id}`)
+      .set(auth(adminToken));
+    const login = await request(app)
+      .post("/auth/login")
+      .send({ email: blogger.email, password: helpers.PASSWORD });
+    const oldToken = await request(app).get("/feed/trash").set(auth(bloggerToken));
+    const deletedUsers = await request(app)
+      .get("/users/trash")
+      .set(auth(adminToken));
+
+    expect(titles(feed)).toEqual([]);
+    expect(profile.status).toBe(404);
+    expect(login.status).toBe(401);
+    expect(oldToken.status).toBe(401);
+    expect(deletedUsers.body.users.map((user) => user._id)).toEqual([
+      blogger._id.toString(),
+    ]);
+
+    const restored = await request(app)
+      .post(`/users/${blogger._id}/restore`)
+      .set(auth(adminToken));
+    const feedAfter = await request(app).get("/feed/posts");
+
+    expect(restored.status).toBe(200);
+    expect(titles(feedAfter)).toEqual(["Approved post"]);
+  });
+
+  it("keeps the email address of deleted users reserved", async () => {
+    const { blogger, adminToken } = await seed();
+    await request(app).delete(`/users/${blogger._id}`).set(auth(adminToken));
+
+    const res = await request(app)
+      .put("/auth/register")
+      .send({
+        email: blogger.email,
+        password: "whatever",
+        firstName: "New",
+        lastName: "Owner",
+      });
+
+    expect(res.status).toBe(422);
+    expect(res.body.data.map((error) => error.path)).toEqual(["email"]);
+  });
+
+  it("purges deleted users with their posts", async () => {
+    const { blogger, post, adminToken } = await seed();
+    await request(app).delete(`/users/${blogger._id}`).set(auth(adminToken));
+
+    const res = await request(app)
+      .delete(`/users/${blogger._id}/purge`)
+      .set(auth(adminToken));
+
+    expect(res.status).toBe(200);
+    expect(res.body.postCount).toBe(1);
+    expect(
+      await User.findById(blogger._id).setOptions({ withDeleted: true })
+    ).toBeNull();
+    expect(
+      await Post.findById(post._id).setOptions({ withDeleted: true })
+    ).toBeNull();
+  });
+});
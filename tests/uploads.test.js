@@ -0,0 +1,217 @@
+const fs = require("fs");
+const path = require("path");
+const request = require("supertest");
+const sharp = require("sharp");
+
+const helpers = require("./helpers");
+const config = require("../config");
+const Attachment = require("../models/attachment");
+
+const { app, auth } = helpers;
+
+beforeAll(helpers.connect);
+afterEach(helpers.clear);
+afterAll(helpers.disconnect);
+
+const png = (width = 800, height = 600) =>
+  sharp({
+    create: { width: width, height: height, channels: 3, background: "#336699" },
+  })
+    .png()
+    .toBuffer();
+
+// Path of a stored file below UPLOAD_DIR, from its public URL.
+const storedFile = (url) =>
+  path.join(
+    config.storage.directory,
+    ...url.slice(config.storage.publicPath.length + 1).split("/")
+  );
+
+const bloggerToken = async () =>
+  helpers.tokenFor(await helpers.createUser({ role: "BLOGGER" }));
+
+describe("uploads", () => {
+  it("stores an image with a thumbnail", async () => {
+    const token = await bloggerToken();
+
+    const res = await request(app)
+      .post("/feed/uploads")
+      .set(auth(token))
+      .attach("file", await png(), { filename: "photo.png", contentType: "image/png" });
+
+    expect(res.status).toBe(201);
+    expect(res.body.attachment).toMatchObject({
+      originalName: "photo.png",
+      mimeType: "image/png",
+      width: 800,
+      height: 600,
+    });
+    expect(fs.existsSync(storedFile(res.body.attachment.url))).toBe(true);
+    const thumbnail = await sharp(storedFile(res.body.attachment.thumbnailUrl)).metadata();
+    expect(thumbnail.format).toBe("webp");
+    expect(thumbnail.width).toBe(config.uploads.thumbnailWidth);
+  });
+
+  it("rejects types that are not allowed", async () => {
+    const token = await bloggerToken();
+
+    const res = await request(app)
+      .post("/feed/uploads")
+      .set(auth(token))
+      .attach("file", Buffer.from("just text"), {
+        filename: "notes.txt",
+        contentType: "text/plain",
+      });
+
+    expect(res.status).toBe(422);
+    expect(res.body.code).toBe("UNSUPPORTED_FILE_TYPE");
+    expect(await Attachment.countDocuments()).toBe(0);
+  });
+
+  it("rejects files whose content does not match the type", async () => {
+    const token = await bloggerToken();
+
+    const res = await request(app)
+      .post("/feed/uploads")
+      .set(auth(token))
+      .attach("file", Buffer.from("not an image"), {
+        filename: "fake.png",
+        contentType: "image/png",
+      });
+
+    expect(res.status).toBe(422);
+    expect(res.body.code).toBe("INVALID_FILE");
+  });
+
+  it("rejects files over the size limit", async () => {
+    const token = await bloggerToken();
+
+    const res = await request(app)
+      .post("/feed/uploads")
+      .set(auth(token))
+      .attach("file", Buffer.alloc(config.uploads.maxFileSizeMb * 1024 * 1024 + 1), {
+        filename: "huge.png",
+        contentType: "image/png",
+      });
+
+    expect(res.status).toBe(413);
+    expect(res.body.code).toBe("LIMIT_FILE_SIZE");
+  });
+});
+
+describe("post files", () => {
+  it("creates a post with a cover image and attachments from a multipart form", async () => {
+    const token = await bloggerToken();
+
+    const res = await request(app)
+      .post("/feed/post")
+      .set(auth(token))
+      .field("title", "A post with files")
+      .field("content", "Some test content")
+      .attach("coverImage", await png(), { filename: "cover.png", contentType: "image/png" })
+      .attach("attachments", Buffer.from("%PDF-1.4 test"), {
+        filename: "paper.pdf",
+        contentType: "application/pdf",
+      });
+
+    expect(res.status).toBe(201);
+    expect(res.body.post.coverImage.originalName).toBe("cover.png");
+    expect(res.body.post.attachments).toHaveLength(1);
+    expect(res.body.post.attachments[0]).toMatchObject({
+      originalName: "paper.pdf",
+      thumbnailUrl: null,
+    });
+  });
+
+  it("adds uploads by id and removes attachments and the cover image with their files", async () => {
+    const token = await bloggerToken();
+    const upload = await request(app)
+      .post("/feed/uploads")
+      .set(auth(token))
+      .attach("file", await png(), { filename: "photo.png", contentType: "image/png" });
+    const created = await request(app)
+      .post("/feed/post")
+      .set(auth(token))
+      .field("title", "A post with files")
+      .field("content", "Some test content")
+      .field("attachmentIds", upload.body.attachment._id)
+      .attach("coverImage", await png(), { filename: "cover.png", contentType: "image/png" });
+    const { coverImage, attachments } = created.body.post;
+
+    expect(attachments.map((attachment) => attachment._id)).toEqual([
+      upload.body.attachment._id,
+    ]);
+
+    const res = await request(app)
+      .put(`/feed/post/${created.body.post._id}`)
+      .set(auth(token))
+      .field("title", "A post without files")
+      .field("content", "Some test content")
+      .field("removeAttachmentIds", attachments[0]._id)
+      .field("removeCoverImage", "true");
+
+    expect(res.status).toBe(200);
+    expect(res.body.post.attachments).toEqual([]);
+    expect(res.body.post.coverImage).toBeNull();
+    expect(await Attachment.countDocuments()).toBe(0);
+    [coverImage, attachments[0]].forEach((attachment) => {
+      expect(fs.existsSync(storedFile(attachment.url))).toBe(false);
+      expect(fs.existsSync(storedFile(attachment.thumbnailUrl))).toBe(false);
+    });
+  });
+
+  it("keeps attachments and their files when the update fails", async () => {
+    const token = await bloggerToken();
+    const created = await request(app)
+      .post("/feed/post")
+      .set(auth(token))
+      .field("title", "A post with files")
+      .field("content", "Some test content")
+      .attach("coverImage", await png(), { filename: "cover.png", contentType: "image/png" })
+      .attach("attachments", await png(), { filename: "photo.png", contentType: "image/png" });
+    const { coverImage, attachments } = created.body.post;
+
+    // Nothing is left of this content once it is stripped, so the post does not validate.
+    const res = await request(app)
+      .put(`/feed/post/${created.body.post._id}`)
+      .set(auth(token))
+      .field("title", "A post without files")
+      .field("content", "<script>alert(1)</script>")
+      .field("removeAttachmentIds", attachments[0]._id)
+      .field("removeCoverImage", "true");
+    const post = await request(app)
+      .get(`/feed/post/${created.body.post._id}`)
+      .set(auth(token));
+
+    expect(res.status).toBe(422);
+    expect(await Attachment.countDocuments()).toBe(2);
+    expect(post.body.post.coverImage._id).toBe(coverImage._id);
+    expect(post.body.post.attachments.map((attachment) => attachment._id)).toEqual([
+      attachments[0]._id,
+    ]);
+    [coverImage, attachments[0]].forEach((attachment) => {
+      expect(fs.existsSync(storedFile(attachment.url))).toBe(true);
+    });
+  });
+
+  it("does not let other users claim an upload", async () => {
+    const owner = await bloggerToken();
+    const other = await bloggerToken();
+    const upload = await request(app)
+      .post("/feed/uploads")
+      .set(auth(owner))
+      .attach("file", await png(), { filename: "photo.png", contentType: "image/png" });
+
+    const res = await request(app)
+      .post("/feed/post")
+      .set(auth(other))
+      .send({
+        title: "Borrowed files",
+        content: "Some test content",
+        attachmentIds: [upload.body.attachment._id],
+      });
+
+    expect(res.status).toBe(422);
+    expect(res.body.code).toBe("INVALID_FILE");
+  });
+});
@@ -0,0 +1,157 @@
+const request = require("supertest");
+
+const helpers = require("./helpers");
+const Post = require("../models/post");
+const User = require("../models/user");
+
+const { app, auth } = helpers;
+
+beforeAll(helpers.connect);
+afterEach(helpers.clear);
+afterAll(helpers.disconnect);
+
+describe("GET /users/all", () => {
+  it("is only available to admins", async () => {
+    const user = await helpers.createUser();
+
+    const res = await request(app)
+      .get("/users/all")
+      .set(auth(await helpers.tokenFor(user)));
+
+    expect(res.status).toBe(403);
+  });
+
+  it("filters by role and never returns password hashes", async () => {
+    const admin = await helpers.createUser({ role: "ADMIN" });
+    await helpers.createUser({ role: "BLOGGER" });
+    await helpers.createUser();
+
+    const res = await request(app)
+      .get("/users/all?role=BLOGGER")
+      .set(auth(await helpers.tokenFor(admin)));
+
+    expect(res.status).toBe(200);
+    expect(res.body.users).toHaveLength(1);
+    expect(res.body.users[0].role).toBe("BLOGGER");
+    expect(res.body.users[0].password).toBeUndefined();
+  });
+});
+
+describe("GET /users/:userId", () => {
+  it("returns the public profile of other users", async () => {
+    const user = await helpers.createUser();
+    const other = await helpers.createUser();
+
+    const res = await request(app)
+      .get(`/users/${other._id}`)
+      .set(auth(await helpers.tokenFor(user)));
+
+    expect(res.status).toBe(200);
+    expect(res.body.user.firstName).toBe("Test");
+    expect(res.body.user.email).toBeUndefined();
+    expect(res.body.user.password).toBeUndefined();
+  });
+
+  it("includes the email in the own profile", async () => {
+    const user = await helpers.createUser();
+
+    const res = await request(app)
+      .get(`/users/${user._id}`)
+      .set(auth(await helpers.tokenFor(user)));
+
+    expect(res.body.user.email).toBe(user.email);
+  });
+});
+
+describe("PATCH /users/me", () => {
+  it("updates the own profile", async () => {
+    const user = await helpers.createUser();
+
+    const res = await request(app)
+      .patch("/users/me")
+      .set(auth(await helpers.tokenFor(user)))
+      .send({ firstName: "Changed" });
+
+    expect(res.status).toBe(200);
+    expect((await User.findById(user._id)).firstName).toBe("Changed");
+  });
+
+  it("requires a new email address to be verified", async () => {
+    const user = await helpers.createUser();
+    const email = helpers.uniqueEmail();
+
+    const res = await request(app)
+      .patch("/users/me")
+      .set(auth(await helpers.tokenFor(user)))
+      .send({ email: email });
+
+    expect(res.status).toBe(200);
+    expect((await User.findById(user._id)).emailVerified).toBe(false);
+    expect(helpers.lastMailToken(email)).toBeTruthy();
+
+    const verified = await request(app)
+      .post("/auth/verify-email")
+      .send({ token: helpers.lastMailToken(email) });
+
+    expect(verified.status).toBe(200);
+    expect((await User.findById(user._id)).emailVerified).toBe(true);
+  });
+});
+
+describe("admin user management", () => {
+  it("changes the role of a user", async () => {
+    const admin = await helpers.createUser({ role: "ADMIN" });
+    const user = await helpers.createUser();
+
+    const res = await request(app)
+      .patch(`/users/${user._id}/role`)
+      .set(auth(await helpers.tokenFor(admin)))
+      .send({ role: "MODERATOR" });
+
+    expect(res.status).toBe(200);
+    expect((await User.findById(user._id)).role).toBe("MODERATOR");
+  });
+
+  it("bans a user, refusing login and existing tokens", async () => {
+    const admin = await helpers.createUser({ role: "ADMIN" });
+    const user = await helpers.createUser();
+    const userToken = await helpers.tokenFor(user);
+
+    const res = await request(app)
+      .patch(`/users/${user._id}/status`)
+      .set(auth(await helpers.tokenFor(admin)))
+      .send({ status: "banned", reason: "Spam" });
+    expect(res.status).toBe(200);
+
+    const login = await request(app)
+      .post("/auth/login")
+      .send({ email: user.email, password: helpers.PASSWORD });
+    const withToken = await request(app)
+      .patch("/users/me")
+      .set(auth(userToken))
+      .send({ firstName: "Banned" });
+
+    expect(login.status).toBe(403);
+    expect(withToken.status).toBe(401);
+  });
+
+  it("reassigns the posts of a deleted user", async () => {
+    const admin = await helpers.createUser({ role: "ADMIN" });
+    const user = await helpers.createUser();
+    const post = await Post.create({
+      title: "Orphan post",
+      content: "Owned by a user who leaves",
+      author: user._id,
+    });
+
+    const res = await request(app)
+      .delete(`/users/${user._id}?reassignTo=${admin._id}`)
+      .set(auth(await helpers.tokenFor(admin)));
+
+    expect(res.status).toBe(200);
+    expect(await User.findById(user._id)).toBeNull();
+    expect((await Post.findById(post._id)).author.toString()).toBe(
+      admin._id.toString()
+    );
+  });
+});
@@ -0,0 +1,181 @@
+const http = require("http");
+const request = require("supertest");
+
+const helpers = require("./helpers");
+const WebhookDelivery = require("../models/webhook-delivery");
+const webhooks = require("../services/webhooks");
+
+const { app, auth } = helpers;
+
+// Local endpoint standing in for the external systems. `status` is what it answers with.
+const receiver = {
+  status: 200,
+  requests: [],
+  waiting: [],
+};
+
+let server;
+
+beforeAll(async () => {
+  await helpers.connect();
+  server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", () => {
+      receiver.requests.push({ headers: req.headers, body: body });
+      res.writeHead(receiver.status);
+      res.end();
+      receiver.waiting.splice(0).forEach((resolve) => resolve());
+    });
+  });
+  await new Promise((resolve) => server.listen(0, resolve));
+});
+afterEach(async () => {
+  receiver.status = 200;
+  receiver.requests = [];
+  await helpers.clear();
+});
+afterAll(async () => {
+  server.close();
+  await helpers.disconnect();
+});
+
+const nextRequest = () =>
+  new Promise((resolve) => {
+    receiver.waiting.push(resolve);
+  }).then(() => receiver.requests[receiver.requests.length - 1]);
+
+const register = async (token, data = {}) =>
+  request(app)
+    .post("/webhooks")
+    .set(auth(token))
+    .send({
+      url: `http://127.0.0.1:${server.address().port}/hook`,
+      events: ["post.created", "post.approved"],
+      ...data,
+    });
+
+describe("webhooks", () => {
+  it("are managed by admins only and show the secret once", async () => {
+    const admin = await helpers.createUser({ role: "ADMIN" });
+    const user = await helpers.createUser();
+    const adminToken = await helpers.tokenFor(admin);
+
+    const forbidden = await register(await helpers.tokenFor(user));
+    const created = await register(adminToken);
+    const fetched = await request(app)
+      .get(`/webhooks/${created.body.webhook._id}`)
+      .set(auth(adminToken));
+
+    expect(forbidden.status).toBe(403);
+    expect(created.status).toBe(201);
+    expect(created.body.webhook.secret).toHaveLength(64);
+    expect(fetched.body.webhook.secret).toBeUndefined();
+  });
+
+  it("does not send drafts", async () => {
+    const admin = await helpers.createUser({ role: "ADMIN" });
+    const blogger = await helpers.createUser({ role: "BLOGGER" });
+    await register(await helpers.tokenFor(admin), {
+      events: ["post.created", "post.updated"],
+    });
+    const bloggerToken = await helpers.tokenFor(blogger);
+
+    const draft = await helpers.createPost(bloggerToken, { draft: true });
+    await request(app)
+      .put(`/feed/post/${draft.body.post._id}`)
+      .set(auth(bloggerToken))
+      .send({ title: "Still a draft", content: "Private content" });
+
+    expect(draft.body.post.status).toBe("draft");
+    expect(await WebhookDelivery.countDocuments()).toBe(0);
+  });
+
+  it("rejects unknown events", async () => {
+    const admin = await helpers.createUser({ role: "ADMIN" });
+
+    const res = await register(await helpers.tokenFor(admin), {
+      events: ["post.liked"],
+    });
+
+    expect(res.status).toBe(422);
+  });
+
+  it("delivers signed events and logs the delivery", async () => {
+    const admin = await helpers.createUser({ role: "ADMIN" });
+    const blogger = await helpers.createUser({ role: "BLOGGER" });
+    const adminToken = await helpers.tokenFor(admin);
+    const created = await register(adminToken);
+    const { secret, _id: webhookId } = created.body.webhook;
+
+    const received = nextRequest();
+    const post = await helpers.createPost(await helpers.tokenFor(blogger));
+    const { headers, body } = await received;
+
+    expect(headers["x-webhook-event"]).toBe("post.created");
+    expect(headers["x-webhook-signature"]).toBe(
+      webhooks.sign(secret, headers["x-webhook-timestamp"], body)
+    );
+    expect(JSON.parse(body).data.post._id).toBe(post.body.post._id);
+
+    // The outcome is saved right after the receiver answered.
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    const log = await request(app)
+      .get(`/webhooks/${webhookId}/deliveries`)
+      .set(auth(adminToken));
+
+    expect(log.body.deliveries).toHaveLength(1);
+    expect(log.body.deliveries[0].status).toBe("succeeded");
+    expect(log.body.deliveries[0].responseStatus).toBe(200);
+  });
+
+  it("retries failed deliveries with backoff", async () => {
+    const admin = await helpers.createUser({ role: "ADMIN" });
+    const blogger = await helpers.createUser({ role: "BLOGGER" });
+    await register(await helpers.tokenFor(admin));
+    receiver.status = 500;
+
+    const received = nextRequest();
+    await helpers.createPost(await helpers.tokenFor(blogger));
+    await received;
+    await new Promise((resolve) => setTimeout(resolve, 100));
+
+    const failed = await WebhookDelivery.findOne();
+    expect(failed.status).toBe("pending");
+    expect(failed.attempts).toBe(1);
+    expect(failed.responseStatus).toBe(500);
+    expect(failed.nextAttemptAt.getTime()).toBeGreaterThan(Date.now());
+
+    // Not due yet.
+    expect(await webhooks.deliverDue()).toBe(0);
+
+    receiver.status = 200;
+    const attempted = await webhooks.deliverDue(
+      new Date(failed.nextAttemptAt.getTime() + 1000)
+    );
+    const retried = await WebhookDelivery.findById(failed._id);
+
+    expect(attempted).toBe(1);
+    expect(retried.status).toBe("succeeded");
+    expect(retried.attempts).toBe(2);
+  });
+
+  it("sends test deliveries on request", async () => {
+    const admin = await helpers.createUser({ role: "ADMIN" });
+    const adminToken = await helpers.tokenFor(admin);
+    const created = await register(adminToken);
+    receiver.status = 503;
+
+    const res = await request(app)
+      .post(`/webhooks/${created.body.webhook._id}/test`)
+      .set(auth(adminToken));
+
+    expect(res.status).toBe(200);
+    expect(res.body.delivery.event).toBe("webhook.test");
+    expect(res.body.delivery.status).toBe("failed");
+    expect(res.body.delivery.responseStatus).toBe(503);
+    expect(receiver.requests).toHaveLength(1);
+  });
+});
@@ -0,0 +1,75 @@
+// Errors with an HTTP status and a stable machine-readable code. The error handler in
+// middleware/error-handler.js turns them into the JSON error response.
+class AppError extends Error {
+  constructor(message, statusCode = 500, code = "INTERNAL_ERROR", data) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+    this.code = code;
+    this.data = data;
+  }
+}
+
+class BadRequestError extends AppError {
+  constructor(message = "Bad request.", data, code = "BAD_REQUEST") {
+    super(message, 400, code, data);
+  }
+}
+
+class UnauthorizedError extends AppError {
+  constructor(message = "Not authenticated.", data, code = "UNAUTHORIZED") {
+    super(message, 401, code, data);
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message = "Not authorized.", data, code = "FORBIDDEN") {
+    super(message, 403, code, data);
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message = "Not found.", data, code = "NOT_FOUND") {
+    super(message, 404, code, data);
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message = "Conflict.", data, code = "CONFLICT") {
+    super(message, 409, code, data);
+  }
+}
+
+class PayloadTooLargeError extends AppError {
+  constructor(message = "Payload too large.", data, code = "PAYLOAD_TOO_LARGE") {
+    super(message, 413, code, data);
+  }
+}
+
+class ValidationError extends AppError {
+  constructor(message = "Validation failed.", data, code = "VALIDATION_FAILED") {
+    super(message, 422, code, data);
+  }
+}
+
+class TooManyRequestsError extends AppError {
+  constructor(
+    message = "Too many requests, please try again later.",
+    data,
+    code = "TOO_MANY_REQUESTS"
+  ) {
+    super(message, 429, code, data);
+  }
+}
+
+module.exports = {
+  AppError,
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  PayloadTooLargeError,
+  ValidationError,
+  TooManyRequestsError,
+};
@@ -0,0 +1,154 @@
+const { Marked } = require("marked");
+const sanitizeHtml = require("sanitize-html");
+
+// Post content is Markdown. HTML tags and links to other than web and mail addresses are
+// stripped from the source when it is stored, and the HTML clients display is rendered and
+// sanitized on the server as well, so scripts, event handlers and `javascript:` links
+// never reach a page, whichever of the two a client renders.
+
+const MAX_CONTENT_LENGTH = 50000;
+const EXCERPT_LENGTH = 200;
+const WORDS_PER_MINUTE = 200;
+const MAX_STRIP_PASSES = 5;
+
+const marked = new Marked({ gfm: true, async: false });
+
+const SANITIZE_OPTIONS = {
+  allowedTags: [...sanitizeHtml.defaults.allowedTags, "img", "del"],
+  allowedAttributes: {
+    a: ["href", "title", "rel"],
+    img: ["src", "alt", "title"],
+    code: ["class"],
+    ol: ["start"],
+    td: ["align"],
+    th: ["align"],
+  },
+  allowedClasses: { code: ["language-*"] },
+  allowedSchemes: ["http", "https", "mailto"],
+  allowedSchemesByTag: { img: ["http", "https"] },
+  transformTags: {
+    a: sanitizeHtml.simpleTransform("a", { rel: "nofollow noopener noreferrer" }),
+  },
+};
+
+exports.MAX_CONTENT_LENGTH = MAX_CONTENT_LENGTH;
+
+// Web and mail links, and relative ones: no scheme before the first "/", "?" or "#". Hrefs
+// with entities are refused, since they can hide a scheme ("java&#115;cript:").
+const SAFE_HREF = /^(?:https?:|mailto:|[^:&]*(?:[/?#]|$))/i;
+
+// Raw HTML, and links and images with other hrefs. HTML and links keep their text.
+const unsafeReplacement = (token) => {
+  if (token.type === "html") {
+    return sanitizeHtml(token.raw, { allowedTags: [], allowedAttributes: {} });
+  }
+  if ((token.type === "link" || token.type === "image") && !SAFE_HREF.test(token.href)) {
+    return token.type === "link" ? token.text : "";
+  }
+  return null;
+};
+
+// One pass over the source: replaces the unsafe tokens, found in document order. The raw
+// of every leaf token is looked up from where the previous one ended, so equal text in
+// code earlier on is left alone. Resolves to null if nothing was unsafe.
+const stripPass = (source) => {
+  const tokens = marked.lexer(source);
+  const inside = new Set();
+  let unsafe = false;
+  let cursor = 0;
+  let result = "";
+
+  marked.walkTokens(tokens, (token) => {
+    if (inside.has(token)) {
+      return;
+    }
+    const replacement = unsafeReplacement(token);
+    const isLeaf = !token.tokens && !token.items && !token.rows;
+    if (replacement === null && !isLeaf) {
+      return;
+    }
+    const index = source.indexOf(token.raw, cursor);
+    if (replacement !== null) {
+      unsafe = true;
+      marked.walkTokens(token.tokens || [], (child) => inside.add(child));
+    }
+    if (index === -1) {
+      return;
+    }
+    result +=
+      source.slice(cursor, index) +
+      (replacement === null ? token.raw : replacement);
+    cursor = index + token.raw.length;
+  });
+
+  return unsafe ? result + source.slice(cursor) : null;
+};
+
+// The Markdown source without raw HTML and unsafe links. Removing markup can leave new
+// markup behind ("<<b>b>"), so passes repeat until the source is clean. Sources that do
+// not get clean, e.g. HTML blocks inside quotes, get every "<", "[" and "]" escaped, which
+// leaves no way to write HTML or links.
+exports.stripUnsafe = (source) => {
+  let text = String(source || "").replace(/\r\n|\r/g, "\n");
+  for (let pass = 0; pass < MAX_STRIP_PASSES; pass++) {
+    const stripped = stripPass(text);
+    if (stripped === null) {
+      return text;
+    }
+    text = stripped;
+  }
+  return stripPass(text) === null ? text : text.replace(/[<[\]]/g, "\\$&");
+};
+
+const ENTITIES = { "&amp;": "&", "&lt;": "<", "&gt;": ">", "&quot;": '"' };
+
+exports.toHtml = (source) =>
+  sanitizeHtml(marked.parse(String(source || "")), SANITIZE_OPTIONS);
+
+// Plain text of rendered HTML, with whitespace collapsed.
+exports.toText = (html) =>
+  sanitizeHtml(html, { allowedTags: [], allowedAttributes: {} })
+    .replace(/&(amp|lt|gt|quot);/g, (entity) => ENTITIES[entity])
+    .replace(/\s+/g, " ")
+    .trim();
+
+// The start of `text`, cut at a word boundary.
+exports.excerpt = (text, length = EXCERPT_LENGTH) => {
+  if (text.length <= length) {
+    return text;
+  }
+  const cut = text.slice(0, length + 1);
+  const end = cut.lastIndexOf(" ");
+  return (end > 0 ? cut.slice(0, end) : text.slice(0, length)).trimEnd() + "…";
+};
+
+// Estimated reading time in whole minutes, at least one.
+exports.readingTime = (text) => {
+  const words = text ? text.split(" ").length : 0;
+  return Math.max(1, Math.ceil(words / WORDS_PER_MINUTE));
+};
+
+// The stored content of a post and the fields derived from it.
+exports.renderContent = (source) => {
+  const content = exports.stripUnsafe(source);
+  const html = exports.toHtml(content);
+  const text = exports.toText(html);
+  return {
+    content: content,
+    contentHtml: html,
+    excerpt: exports.excerpt(text),
+    readingTime: exports.readingTime(text),
+  };
+};
+
+// Content and rendered fields of a post. Posts stored before they were kept are cleaned
+// and rendered on the fly.
+exports.renderedFields = (post) =>
+  post.contentHtml != null
+    ? {
+        content: post.content,
+        contentHtml: post.contentHtml,
+        excerpt: post.excerpt,
+        readingTime: post.readingTime,
+      }
+    : exports.renderContent(post.content);
@@ -0,0 +1,136 @@
+const { query } = require("express-validator");
+
+const { ValidationError } = require("./errors");
+
+// Cursor pagination shared by the list endpoints.
+//
+// A cursor encodes the sort key values of a document (the sort always ends with _id, so
+// it is unique). Listing "after" a cursor continues in sort order, listing "before" a
+// cursor goes back towards the start of the list.
+
+const invalidCursor = () =>
+  new ValidationError("Invalid cursor.", undefined, "INVALID_CURSOR");
+
+const encodeValue = (value) =>
+  value instanceof Date ? { $date: value.toISOString() } : value;
+
+const decodeValue = (value) =>
+  value && typeof value === "object" && value.$date
+    ? new Date(value.$date)
+    : value;
+
+const getValue = (doc, key) =>
+  key.split(".").reduce((value, part) => (value == null ? value : value[part]), doc);
+
+exports.encodeCursor = (doc, sort) => {
+  const values = Object.keys(sort).map((key) => {
+    const value = getValue(doc, key);
+    return encodeValue(key === "_id" ? value.toString() : value);
+  });
+  return Buffer.from(JSON.stringify(values)).toString("base64url");
+};
+
+exports.decodeCursor = (cursor, sort) => {
+  let values;
+  try {
+    values = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+  } catch (err) {
+    throw invalidCursor();
+  }
+  if (!Array.isArray(values) || values.length !== Object.keys(sort).length) {
+    throw invalidCursor();
+  }
+  return values.map(decodeValue);
+};
+
+// Builds the condition selecting documents strictly after (or before) the cursor values.
+const cursorCondition = (sort, values, backwards) => {
+  const keys = Object.keys(sort);
+  return {
+    $or: keys.map((key, index) => {
+      const condition = {};
+      keys.slice(0, index).forEach((previous, i) => {
+        condition[previous] = values[i];
+      });
+      const ascending = sort[key] === 1 ? !backwards : backwards;
+      condition[key] = { [ascending ? "$gt" : "$lt"]: values[index] };
+      return condition;
+    }),
+  };
+};
+
+const reverseSort = (sort) =>
+  Object.keys(sort).reduce((reversed, key) => {
+    reversed[key] = -sort[key];
+    return reversed;
+  }, {});
+
+// Validation rules for the pagination query parameters.
+exports.paginationRules = (maxLimit = 100) => [
+  query("limit").optional().isInt({ min: 1, max: maxLimit }),
+  query("after").optional().isString(),
+  query("before").optional().isString(),
+  query("page").optional().isInt({ min: 1 }),
+];
+
+// Reads limit, after, before and the legacy page parameter from a query string.
+exports.parsePagination = (params, defaultLimit = 20, maxLimit = 100) => ({
+  limit: Math.min(+params.limit || defaultLimit, maxLimit),
+  after: params.after,
+  before: params.before,
+  page: +params.page || null,
+});
+
+// Runs `Model.find(filter)` for one page. `sort` must end with `_id`.
+// `customize` can add populate/select calls to the query.
+exports.paginate = async (Model, filter, sort, options, customize) => {
+  const { limit, after, before, page } = options;
+  const backwards = !!before && !after;
+  const cursor = after || before;
+
+  const conditions = [filter];
+  if (cursor) {
+    conditions.push(
+      cursorCondition(sort, exports.decodeCursor(cursor, sort), backwards)
+    );
+  }
+
+  let findQuery = Model.find({ $and: conditions })
+    .sort(backwards ? reverseSort(sort) : sort)
+    .limit(limit + 1);
+
+  // Offset paging is only kept for clients that still send ?page=.
+  if (!cursor && page) {
+    findQuery = findQuery.skip((page - 1) * limit);
+  }
+  if (customize) {
+    findQuery = customize(findQuery);
+  }
+
+  const [docs, totalItems] = await Promise.all([
+    findQuery,
+    Model.countDocuments(filter),
+  ]);
+
+  const hasMore = docs.length > limit;
+  const items = docs.slice(0, limit);
+  if (backwards) {
+    items.reverse();
+  }
+
+  const first = items[0];
+  const last = items[items.length - 1];
+  const hasPrevious = backwards ? hasMore : !!after || (!!page && page > 1);
+  const hasNext = backwards ? true : hasMore;
+
+  return {
+    items: items,
+    pageInfo: {
+      limit: limit,
+      totalItems: totalItems,
+      hasMore: hasMore,
+      nextCursor: last && hasNext ? exports.encodeCursor(last, sort) : null,
+      prevCursor: first && hasPrevious ? exports.encodeCursor(first, sort) : null,
+    },
+  };
+};
@@ -0,0 +1,48 @@
+// Every role is mapped to the named permissions it grants. Add a role here instead of
+// comparing role strings in controllers.
+const ROLES = {
+  USER: ["post:create", "comment:create"],
+  BLOGGER: ["post:create", "comment:create", "feed:own"],
+  MODERATOR: [
+    "post:create",
+    "comment:create",
+    "post:read:any",
+    "post:approve",
+    "comment:moderate",
+  ],
+  ADMIN: [
+    "post:create",
+    "comment:create",
+    "post:read:any",
+    "post:approve",
+    "post:delete:any",
+    "post:purge",
+    "post:revision:any",
+    "comment:moderate",
+    "category:manage",
+    "webhook:manage",
+    "user:list",
+    "user:role:update",
+    "user:manage",
+    "user:delete",
+  ],
+};
+
+// Roles an author is moved to when one of their posts gets approved.
+const PROMOTIONS_ON_APPROVAL = {
+  USER: "BLOGGER",
+};
+
+exports.ROLES = Object.keys(ROLES);
+
+exports.DEFAULT_ROLE = "USER";
+
+exports.can = (role, permission) =>
+  !!ROLES[role] && ROLES[role].includes(permission);
+
+exports.permissionsOf = (role) => ROLES[role] || [];
+
+exports.rolesWith = (permission) =>
+  exports.ROLES.filter((role) => ROLES[role].includes(permission));
+
+exports.promotionOnApproval = (role) => PROMOTIONS_ON_APPROVAL[role] || null;
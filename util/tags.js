@@ -0,0 +1,29 @@
+// Tags are free-form but stored normalized: lower case, words joined by "-", only
+// letters, digits and dashes. "Node JS", "node-js" and " NODE_js " all become "node-js".
+
+const MAX_TAGS = 10;
+const MAX_LENGTH = 30;
+
+exports.MAX_TAGS = MAX_TAGS;
+
+exports.normalizeTag = (tag) =>
+  String(tag)
+    .toLowerCase()
+    .trim()
+    .replace(/[\s_]+/g, "-")
+    .replace(/[^a-z0-9-]/g, "")
+    .replace(/-+/g, "-")
+    .replace(/^-|-$/g, "")
+    .slice(0, MAX_LENGTH);
+
+// Accepts an array or a comma separated string (multipart forms) and returns the distinct
+// normalized tags, dropping those that end up empty.
+exports.normalizeTags = (value) => {
+  if (value === undefined || value === null || value === "") {
+    return [];
+  }
+  const tags = (Array.isArray(value) ? value : String(value).split(","))
+    .map(exports.normalizeTag)
+    .filter(Boolean);
+  return [...new Set(tags)];
+};
@@ -0,0 +1,39 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+
+const config = require("../config");
+
+exports.hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+exports.signAccessToken = (user, session) =>
+  jwt.sign(
+    {
+      email: user.email,
+      userId: user._id.toString(),
+      sid: session._id.toString(),
+      gen: session.generation,
+    },
+    config.jwt.secret,
+    { expiresIn: config.jwt.accessExpiresIn }
+  );
+
+exports.verifyAccessToken = (token) => jwt.verify(token, config.jwt.secret);
+
+// Refresh tokens are opaque "<sessionId>.<secret>" strings; only the hash of the whole value is stored.
+exports.generateRefreshToken = (session) =>
+  session._id.toString() + "." + crypto.randomBytes(40).toString("hex");
+
+exports.parseRefreshToken = (refreshToken) => {
+  if (typeof refreshToken !== "string") {
+    return null;
+  }
+  const [sessionId, secret] = refreshToken.split(".");
+  if (!sessionId || !secret) {
+    return null;
+  }
+  return sessionId;
+};
+
+exports.refreshExpiryDate = () =>
+  new Date(Date.now() + config.jwt.refreshExpiresInDays * 24 * 60 * 60 * 1000);
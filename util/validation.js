@@ -0,0 +1,14 @@
+const { validationResult } = require("express-validator");
+
+const { ValidationError } = require("./errors");
+
+// Throws a ValidationError carrying the express-validator errors of the request as `data`.
+exports.assertValid = (req) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError(
+      "Validation failed, entered data is incorrect.",
+      errors.array()
+    );
+  }
+};
@@ -0,0 +1,77 @@
+const Post = require("../models/post");
+const User = require("../models/user");
+const permissions = require("./permissions");
+const { NotFoundError } = require("./errors");
+
+const authorId = (post) =>
+  post.author && post.author._id ? post.author._id : post.author;
+
+// Filter selecting the publicly visible posts. `allowed` stays false for scheduled posts until
+// the scheduler publishes them; the publishAt condition guards against documents changed
+// outside the model.
+exports.publishedFilter = () => ({
+  allowed: true,
+  publishAt: { $not: { $gt: new Date() } },
+});
+
+// Filter selecting the posts `user` may list: published posts for everybody, own posts for
+// bloggers and every post except other people's drafts for moderators and admins.
+// `user` may be null for anonymous callers.
+exports.postVisibilityFilter = (user) => {
+  const role = user ? user.role : null;
+  if (permissions.can(role, "post:read:any")) {
+    // Fetch all posts, drafts stay private until they are submitted
+    return { $or: [{ status: { $ne: "draft" } }, { author: user._id }] };
+  }
+  if (permissions.can(role, "feed:own")) {
+    return { author: user._id }; // Fetch posts created by the user
+  }
+  return exports.publishedFilter(); // Only fetch published posts
+};
+
+// Whether `post` matches postVisibilityFilter(user), for posts that did not come from a query
+// with that filter (e.g. the live updates of services/stream.js).
+exports.isListed = (user, post) => {
+  const role = user ? user.role : null;
+  const author = authorId(post);
+  const isAuthor = !!user && !!author && user._id.equals(author);
+  if (permissions.can(role, "post:read:any")) {
+    return post.status !== "draft" || isAuthor;
+  }
+  if (permissions.can(role, "feed:own")) {
+    return isAuthor;
+  }
+  return post.allowed && !post.isScheduled();
+};
+
+// Whether `user` may open `post`, following the same rules as postVisibilityFilter.
+exports.canViewPost = (user, post) => {
+  if (!post) {
+    return false;
+  }
+  if (post.allowed && !post.isScheduled()) {
+    return true;
+  }
+  if (!user) {
+    return false;
+  }
+  const author = authorId(post);
+  if (author && user._id.equals(author)) {
+    return true;
+  }
+  return (
+    permissions.can(user.role, "post:read:any") && post.status !== "draft"
+  );
+};
+
+// Loads the post and the current user, failing with 404 when the caller may not see the post.
+exports.loadVisiblePost = async (postId, userId) => {
+  const post = await Post.findById(postId);
+  const user = userId ? await User.findById(userId) : null;
+
+  if (!exports.canViewPost(user, post)) {
+    throw new NotFoundError("Could not find post.");
+  }
+
+  return { post, user };
+};